@@ -15,9 +15,20 @@ import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/users.js";
 import friendRoutes from "./routes/friends.js";
 import messageRoutes from "./routes/messages.js";
+import callRoutes from "./routes/calls.js";
+import roomRoutes from "./routes/rooms.js";
+import interpreterRoutes from "./routes/interpreters.js";
+import notificationRoutes from "./routes/notifications.js";
+import emailPreviewRoutes from "./routes/emailPreview.js";
+import adminRoutes from "./routes/admin.js";
+
+// Models
+import Room from "./models/Room.js";
 
 // Services
 import emailService from "./services/emailService.js";
+import digestService from "./services/digestService.js";
+import emailWorker from "./services/emailWorker.js";
 
 // WebSocket server
 import { initializeWebSocketServer } from './websocket/server.js';
@@ -26,11 +37,10 @@ const app = express();
 const server = createServer(app);
 
 // Initialize WebSocket server with HTTP server
-const { io, connectedUsers } = initializeWebSocketServer(server);
+const { io } = await initializeWebSocketServer(server);
 
-// Make io and connectedUsers available to routes
+// Make io available to routes (real-time notifications go through notificationService)
 app.set('io', io);
-app.set('connectedUsers', connectedUsers);
 
 // Security middleware
 // Allow Cross-Origin Resource Policy for static assets (avatars) so images served
@@ -162,6 +172,11 @@ app.get("/", (req, res) => {
       users: "/api/users", 
       friends: "/api/friends",
       messages: "/api/messages",
+      calls: "/api/calls",
+      rooms: "/api/rooms",
+      interpreters: "/api/interpreters",
+      notifications: "/api/notifications",
+      admin: "/api/admin",
       health: "/api/health"
     },
     websocket: "Socket.io on same port as API",
@@ -213,15 +228,42 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/friends", friendRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/calls", callRoutes);
+app.use("/api/rooms", roomRoutes);
+app.use("/api/interpreters", interpreterRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/admin", adminRoutes);
 
-// Call route handler
-app.get("/call/:roomId", (req, res) => {
-  res.json({ 
-    success: true,
-    message: "Call room endpoint",
-    roomId: req.params.roomId,
-    timestamp: new Date().toISOString()
-  });
+// Email template previews with sample data (development only)
+if (process.env.NODE_ENV === "development") {
+  app.use("/api/dev/emails", emailPreviewRoutes);
+}
+
+// Call route handler: public summary for shared call links.
+// Membership and participants are under /api/rooms/:roomId.
+app.get("/call/:roomId", async (req, res, next) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId }).select("roomId accessMode endedAt");
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "Call room not found",
+        roomId: req.params.roomId
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: "Call room endpoint",
+      roomId: room.roomId,
+      accessMode: room.accessMode,
+      active: !room.endedAt,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // 404 handler
@@ -258,24 +300,41 @@ server.listen(PORT, async () => {
   console.log("🔑 Auth API: http://localhost:" + PORT + "/api/auth");
   console.log("👤 Users API: http://localhost:" + PORT + "/api/users");
   console.log("💬 Messages API: http://localhost:" + PORT + "/api/messages");
+  console.log("📞 Calls API: http://localhost:" + PORT + "/api/calls");
+  console.log("🏠 Rooms API: http://localhost:" + PORT + "/api/rooms");
+  console.log("🤟 Interpreters API: http://localhost:" + PORT + "/api/interpreters");
+  console.log("🔔 Notifications API: http://localhost:" + PORT + "/api/notifications");
+  console.log("🛡️  Admin API: http://localhost:" + PORT + "/api/admin");
   console.log("🔧 CORS Enabled for:", [
     "http://localhost:3001",
     "http://localhost:5173", 
     "http://localhost:3000"
   ].join(", "));
   
-  // Verify SMTP configuration
-  console.log("\n📧 Checking SMTP configuration...");
+  if (process.env.NODE_ENV === "development") {
+    console.log("✉️  Email previews: http://localhost:" + PORT + "/api/dev/emails");
+  }
+
+  // Verify email transport configuration
+  console.log("\n📧 Checking email configuration...");
   const smtpReady = await emailService.verifyConnection();
   if (!smtpReady) {
     console.log("⚠️  SMTP not configured. Email verification will not work.");
     console.log("💡 To enable emails, configure SMTP settings in .env file");
   }
+
+  // Send queued emails (retries with backoff; failures never block requests)
+  emailWorker.start();
+
+  // Email digests for users who were offline when things happened
+  digestService.start();
 });
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
   console.log("\n🔻 Shutting down gracefully...");
+  digestService.stop();
+  emailWorker.stop();
   await mongoose.connection.close();
   console.log("✅ MongoDB connection closed.");
   process.exit(0);
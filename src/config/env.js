@@ -8,4 +8,12 @@ const __dirname = path.dirname(__filename);
 
 // Load .env from backend directory (two levels up from src/config)
 dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Secrets that sign tokens and links have no built-in default: refuse to start without them
+const REQUIRED_ENV = ['JWT_SECRET'];
+const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+if (missingEnv.length > 0) {
+  console.error(`❌ Missing required environment variables: ${missingEnv.join(', ')}`);
+  process.exit(1);
+}
 // touch file to trigger nodemon restart when env changes
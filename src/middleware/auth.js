@@ -1,6 +1,7 @@
-import jwt from 'jsonwebtoken';
+import sessionService from '../services/sessionService.js';
+import User from '../models/User.js';
 
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -13,30 +14,68 @@ export const authenticateToken = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+    // Also rejects tokens whose session was revoked by logout
+    const decoded = await sessionService.verifyAccessToken(token);
     // Normalize token payloads: some tokens use { userId }, others { id } or {_id}
     const normalizedId = decoded.userId || decoded.id || decoded._id;
-    req.user = { ...decoded, id: normalizedId };
+    req.user = { ...decoded, id: normalizedId, sessionId: decoded.sid };
     console.log('🔐 Token verified for user (normalized id):', normalizedId);
     next();
   } catch (error) {
     console.log('❌ Token verification failed:', error.message);
     return res.status(403).json({ 
       success: false, 
-      error: 'Invalid or expired token' 
+      error: 'Invalid or expired token',
+      // Lets clients tell "refresh and retry" apart from "log in again"
+      code: error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token'
     });
   }
 };
 
-export const optionalAuth = (req, res, next) => {
+// Reject requests whose client-supplied currentUserId doesn't match the token.
+// Must run after authenticateToken.
+export const enforceCurrentUser = (req, res, next) => {
+  const claimedId = req.body?.currentUserId || req.query?.currentUserId;
+
+  if (claimedId && claimedId.toString() !== req.user.id?.toString()) {
+    console.log('🚫 currentUserId mismatch:', claimedId, '!=', req.user.id);
+    return res.status(403).json({
+      success: false,
+      error: 'You can only act on your own account'
+    });
+  }
+
+  next();
+};
+
+// Only let through users flagged isAdmin. Must run after authenticateToken.
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const isAdmin = await User.exists({ _id: req.user.id, isAdmin: true });
+
+    if (!isAdmin) {
+      console.log('🚫 Admin access denied for user:', req.user.id);
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-      req.user = decoded;
-      console.log('🔐 Optional auth - User:', decoded.id);
+      const decoded = await sessionService.verifyAccessToken(token);
+      req.user = { ...decoded, id: decoded.userId, sessionId: decoded.sid };
+      console.log('🔐 Optional auth - User:', decoded.userId);
     } catch (error) {
       console.log('⚠️ Optional auth - Invalid token:', error.message);
       // Continue without user
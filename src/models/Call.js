@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+export const CALL_OUTCOMES = ['ringing', 'answered', 'rejected', 'missed', 'offline', 'busy'];
+
+// Outcomes the callee is told about as a missed call
+export const MISSED_OUTCOMES = ['missed', 'offline', 'busy'];
+
+const callSchema = new mongoose.Schema({
+  // Id the server gives this call (see CallService.generateCallId); clients use
+  // it in socket events
+  callId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    default: null
+  },
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  callee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: CALL_OUTCOMES,
+    default: 'ringing'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds between answer and hang-up; 0 for calls that were never answered
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // Participants who agreed to have captions saved; recording needs both
+  captionConsent: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Whether the callee has been told about a missed/offline call
+  missedNotified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+callSchema.index({ caller: 1, startedAt: -1 });
+callSchema.index({ callee: 1, startedAt: -1 });
+callSchema.index({ callee: 1, outcome: 1, missedNotified: 1 });
+
+// Captions are only recorded once caller and callee have both consented
+callSchema.methods.isRecordingCaptions = function() {
+  const consented = this.captionConsent.map(id => id.toString());
+  return consented.includes(this.caller.toString()) && consented.includes(this.callee.toString());
+};
+
+callSchema.methods.hasParticipant = function(userId) {
+  return [this.caller, this.callee].some(id => (id._id || id).toString() === userId.toString());
+};
+
+export default mongoose.model("Call", callSchema);
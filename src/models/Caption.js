@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const captionSchema = new mongoose.Schema({
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  speaker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // Source of the caption as sent by the client, e.g. speech or sign recognition
+  type: {
+    type: String,
+    default: 'speech'
+  },
+  // When the server received the caption
+  spokenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+captionSchema.index({ call: 1, spokenAt: 1 });
+
+export default mongoose.model("Caption", captionSchema);
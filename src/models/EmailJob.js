@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// pending: waiting for its next attempt; sending: claimed by a worker;
+// sent: delivered; dead: gave up after too many failed attempts
+export const EMAIL_JOB_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Sent jobs are kept for a week for troubleshooting, then removed
+const SENT_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const emailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  // Template name under src/templates/email, rendered when the job is sent
+  template: {
+    type: String,
+    required: true
+  },
+  // Template data. May hold one-time links, so it's cleared once the email is sent.
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: EMAIL_JOB_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed it; a stale claim means the worker died mid-send
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ status: 1, createdAt: -1 });
+emailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_JOB_TTL_SECONDS });
+
+export default mongoose.model("EmailJob", emailJobSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { SIGN_LANGUAGES } from "./User.js";
+
+export const INTERPRETER_REQUEST_STATUSES = ['queued', 'ringing', 'accepted', 'cancelled'];
+
+const interpreterRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Group call room the interpreter will be added to
+  roomId: {
+    type: String,
+    required: true
+  },
+  // Left unset when any sign language will do
+  signLanguage: {
+    type: String,
+    enum: SIGN_LANGUAGES
+  },
+  status: {
+    type: String,
+    enum: INTERPRETER_REQUEST_STATUSES,
+    default: 'queued'
+  },
+  interpreter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // While ringing: the interpreter being offered the request, and until when.
+  // Kept here rather than in one node's memory so every node sees the queue.
+  ringingInterpreter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ringingUntil: {
+    type: Date,
+    default: null
+  },
+  // Interpreters who declined or didn't answer, so it isn't offered to them again
+  skippedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+interpreterRequestSchema.index({ status: 1, createdAt: 1 });
+interpreterRequestSchema.index({ requester: 1, createdAt: -1 });
+// An interpreter is offered one request at a time, even by two nodes at once
+interpreterRequestSchema.index(
+  { ringingInterpreter: 1 },
+  { unique: true, partialFilterExpression: { status: 'ringing' } }
+);
+
+export default mongoose.model("InterpreterRequest", interpreterRequestSchema);
@@ -23,11 +23,64 @@ const messageSchema = new mongoose.Schema({
   read: {
     type: Boolean,
     default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
 messageSchema.index({ sender: 1, recipient: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, read: 1 });
+
+// Mark messages from otherUserId to readerId as read, up to and including
+// upToMessageId (or everything unread when no message is given)
+messageSchema.statics.markConversationRead = async function(readerId, otherUserId, upToMessageId) {
+  const filter = {
+    sender: otherUserId,
+    recipient: readerId,
+    read: false
+  };
+
+  if (upToMessageId) {
+    const upTo = await this.findOne({
+      _id: upToMessageId,
+      sender: otherUserId,
+      recipient: readerId
+    }).select('createdAt');
+
+    if (!upTo) return null;
+    filter.createdAt = { $lte: upTo.createdAt };
+  }
+
+  const unread = await this.find(filter).select('_id').sort({ createdAt: 1 });
+  const messageIds = unread.map(message => message._id.toString());
+  const readAt = new Date();
+
+  if (messageIds.length > 0) {
+    await this.updateMany(
+      { _id: { $in: messageIds } },
+      { $set: { read: true, readAt, delivered: true } }
+    );
+  }
+
+  return { messageIds, readAt };
+};
+
+// Count unread messages addressed to userId, grouped by sender
+messageSchema.statics.unreadCountsFor = async function(userId) {
+  const results = await this.aggregate([
+    { $match: { recipient: new mongoose.Types.ObjectId(userId), read: false } },
+    { $group: { _id: '$sender', count: { $sum: 1 }, lastMessageAt: { $max: '$createdAt' } } }
+  ]);
+
+  return results.map(result => ({
+    userId: result._id.toString(),
+    count: result.count,
+    lastMessageAt: result.lastMessageAt
+  }));
+};
 
 export default mongoose.model("Message", messageSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = ['harassment', 'spam', 'inappropriate_content', 'impersonation', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000,
+    trim: true,
+    default: ''
+  },
+  // Optional pointer to where it happened, e.g. a call or message id
+  context: {
+    callId: { type: String, default: null },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'resolved', 'dismissed'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+export default mongoose.model("Report", reportSchema);
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const ROOM_ACCESS_MODES = ['friends', 'invite'];
+
+const roomSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomUUID()
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "friends": any friend of the host may join; "invite": only listed users
+  accessMode: {
+    type: String,
+    enum: ROOM_ACCESS_MODES,
+    default: 'friends'
+  },
+  invitees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+roomSchema.index({ host: 1, createdAt: -1 });
+
+// Check whether a user is allowed in this room. `host` must be populated with its friends.
+roomSchema.methods.allows = function(userId) {
+  const id = userId.toString();
+  const hostId = (this.host._id || this.host).toString();
+  if (id === hostId) return true;
+
+  if (this.invitees.some(invitee => invitee.toString() === id)) return true;
+
+  if (this.accessMode === 'friends') {
+    return (this.host.friends || []).some(friend => friend.toString() === id);
+  }
+
+  return false;
+};
+
+// Check whether a user may join right now
+roomSchema.methods.canJoin = function(userId) {
+  return !this.endedAt && this.allows(userId);
+};
+
+export default mongoose.model("Room", roomSchema);
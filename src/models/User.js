@@ -1,6 +1,21 @@
 ﻿import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// "interpreter" is only granted by an admin, never at registration
+export const USER_TYPES = ["normal", "deaf", "interpreter"];
+export const SIGN_LANGUAGES = ["none", "ASL", "BSL", "ISL", "Auslan", "LSF", "DGS", "JSL", "Libras", "other"];
+export const CAPTION_FONT_SIZES = ["small", "medium", "large", "x-large"];
+export const COMMUNICATION_MODES = ["text", "video"];
+export const DISCOVERABILITY_OPTIONS = ["everyone", "friends_of_friends", "nobody"];
+export const VISIBILITY_OPTIONS = ["everyone", "friends", "nobody"];
+// Statuses a user can choose; "in_call", "away" (when idle) and "offline" are also derived
+export const PRESENCE_STATUSES = ["available", "busy", "away", "dnd", "invisible"];
+// Languages emails are written in (templates live in src/templates/email/<locale>)
+export const EMAIL_LOCALES = ["en", "es"];
+// How often to email a digest of what the user missed while offline ("off" = never)
+export const DIGEST_FREQUENCIES = ["off", "immediate", "hourly", "daily"];
+export const DIGEST_CATEGORIES = ["friendRequests", "missedCalls", "unreadMessages"];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -25,9 +40,20 @@ const userSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ["normal", "deaf"],
+    enum: USER_TYPES,
     default: "normal"
   },
+  // Only used when userType is "interpreter"
+  interpreter: {
+    signLanguages: [{
+      type: String,
+      enum: SIGN_LANGUAGES
+    }],
+    acceptingRequests: {
+      type: Boolean,
+      default: false
+    }
+  },
   avatar: {
     type: String,
     default: "👤"
@@ -40,15 +66,118 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Chosen status plus state the socket server keeps up to date
+  presence: {
+    status: {
+      type: String,
+      enum: PRESENCE_STATUSES,
+      default: "available"
+    },
+    statusText: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Status text cannot exceed 100 characters"],
+      default: ""
+    },
+    inCall: {
+      type: Boolean,
+      default: false
+    },
+    // Every connected device has been idle for a while
+    idle: {
+      type: Boolean,
+      default: false
+    }
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, "Display name cannot exceed 50 characters"],
+    default: ""
+  },
   bio: {
     type: String,
     maxlength: [150, "Bio cannot exceed 150 characters"],
     default: ""
   },
+  // Accessibility preferences shared with friends so calls start the right way
+  preferences: {
+    signLanguage: {
+      type: String,
+      enum: SIGN_LANGUAGES,
+      default: "none"
+    },
+    captionFontSize: {
+      type: String,
+      enum: CAPTION_FONT_SIZES,
+      default: "medium"
+    },
+    preferredMode: {
+      type: String,
+      enum: COMMUNICATION_MODES,
+      default: "video"
+    },
+    locale: {
+      type: String,
+      enum: EMAIL_LOCALES,
+      default: "en"
+    }
+  },
+  // Who can find this user in search, and who can see their email / last seen
+  privacy: {
+    discoverability: {
+      type: String,
+      enum: DISCOVERABILITY_OPTIONS,
+      default: "everyone"
+    },
+    emailVisibility: {
+      type: String,
+      enum: VISIBILITY_OPTIONS,
+      default: "friends"
+    },
+    lastSeenVisibility: {
+      type: String,
+      enum: VISIBILITY_OPTIONS,
+      default: "everyone"
+    }
+  },
+  // Opt-in email digests, with a switch per category for unsubscribe links
+  emailNotifications: {
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: "off"
+    },
+    friendRequests: {
+      type: Boolean,
+      default: true
+    },
+    missedCalls: {
+      type: Boolean,
+      default: true
+    },
+    unreadMessages: {
+      type: Boolean,
+      default: true
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null
+    }
+  },
   friends: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Grants access to /api/admin. Not settable through the API; set it in the database.
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
@@ -60,6 +189,22 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: {
     type: Date,
     default: null
+  },
+  // New address awaiting verification after an email change
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // SHA-256 of the emailed reset token; cleared once used
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -83,10 +228,69 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check a privacy visibility setting ("emailVisibility", "lastSeenVisibility")
+// against the viewing user. Requires `friends` and `privacy` to be selected.
+userSchema.methods.isVisibleTo = function(setting, viewerId) {
+  if (viewerId && this._id.toString() === viewerId.toString()) return true;
+
+  const visibility = this.privacy?.[setting] || userSchema.path(`privacy.${setting}`).defaultValue;
+  if (visibility === "everyone") return true;
+  if (visibility === "friends" && viewerId) {
+    return (this.friends || []).some(friend => (friend._id || friend).toString() === viewerId.toString());
+  }
+  return false;
+};
+
+// Status as others see it: invisible users appear offline, do-not-disturb
+// wins over being in a call, and an idle "available" user shows as away.
+// Requires `isOnline` and `presence` to be selected.
+userSchema.methods.presenceSummary = function() {
+  const presence = this.presence || {};
+  const chosen = presence.status || "available";
+
+  let status = chosen;
+  if (!this.isOnline || chosen === "invisible") status = "offline";
+  else if (chosen === "dnd") status = "dnd";
+  else if (presence.inCall) status = "in_call";
+  else if (presence.idle && chosen === "available") status = "away";
+
+  return {
+    status,
+    statusText: status === "offline" ? "" : presence.statusText || "",
+    isOnline: status !== "offline"
+  };
+};
+
+// True if either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+// Ids of everyone userId has blocked or been blocked by, as strings
+userSchema.statics.blockedIdsFor = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).select('_id')
+  ]);
+
+  return new Set([
+    ...(user?.blockedUsers || []).map(id => id.toString()),
+    ...blockedBy.map(other => other._id.toString())
+  ]);
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.passwordResetToken;
   return user;
 };
 
@@ -0,0 +1,156 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EmailJob, { EMAIL_JOB_STATUSES } from '../models/EmailJob.js';
+import User, { USER_TYPES } from '../models/User.js';
+import emailWorker from '../services/emailWorker.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { parsePagination } from '../utils/pagination.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+router.use(authenticateToken, requireAdmin);
+
+// Shape an email job for the admin view. Template data is left out: it can
+// hold verification and password reset links.
+const formatEmailJob = (job) => ({
+  id: job._id,
+  to: job.to,
+  template: job.template,
+  locale: job.locale,
+  status: job.status,
+  attempts: job.attempts,
+  nextAttemptAt: job.nextAttemptAt,
+  lastError: job.lastError,
+  messageId: job.messageId,
+  sentAt: job.sentAt,
+  deadAt: job.deadAt,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+// Email queue: counts per status and jobs, newest first. ?status=dead for the dead letters
+router.get('/email-jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !EMAIL_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${EMAIL_JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = status ? { status } : {};
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+
+    const [jobs, total, stats] = await Promise.all([
+      EmailJob.find(filter).select('-data -headers').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      EmailJob.countDocuments(filter),
+      emailWorker.stats()
+    ]);
+
+    res.json({
+      success: true,
+      stats,
+      jobs: jobs.map(formatEmailJob),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + jobs.length < total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching email jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email jobs'
+    });
+  }
+});
+
+// Send a dead job again with a fresh set of attempts
+router.post('/email-jobs/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await emailWorker.retry(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No dead email job with this ID'
+      });
+    }
+
+    console.log(`🔁 Email job ${job._id} requeued by admin ${req.user.id}`);
+    res.json({
+      success: true,
+      message: 'Email job requeued',
+      job: formatEmailJob(job)
+    });
+  } catch (error) {
+    console.error('❌ Error retrying email job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry email job'
+    });
+  }
+});
+
+// Change a user's account type. The only way to make someone an interpreter,
+// since registration doesn't allow it.
+router.put('/users/:id/user-type', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const { userType } = req.body;
+    if (!USER_TYPES.includes(userType)) {
+      return res.status(400).json({
+        success: false,
+        error: `User type must be one of: ${USER_TYPES.join(', ')}`
+      });
+    }
+
+    const update = { userType };
+    // Former interpreters stop being offered requests
+    if (userType !== 'interpreter') update['interpreter.acceptingRequests'] = false;
+
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: update }, { new: true }).select('username userType');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log(`👤 User ${user._id} set to ${userType} by admin ${req.user.id}`);
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        userType: user.userType
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating user type:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user type'
+    });
+  }
+});
+
+export default router;
@@ -1,7 +1,8 @@
 ﻿import express from "express";
-import jwt from "jsonwebtoken";
-import User from "../models/User.js"; // Import the User model
+import User, { EMAIL_LOCALES } from "../models/User.js"; // Import the User model
 import emailService from "../services/emailService.js";
+import sessionService from "../services/sessionService.js";
+import { authenticateToken } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -26,6 +27,15 @@ router.post("/register", async (req, res) => {
       });
     }
 
+    // Interpreters are matched with people asking for help, so an admin has to
+    // make an account one (PUT /api/admin/users/:id/user-type)
+    if (userType === "interpreter") {
+      return res.status(400).json({
+        success: false,
+        error: "Interpreter accounts are set up by an administrator"
+      });
+    }
+
     // Check if user exists using MongoDB
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -52,27 +62,29 @@ router.post("/register", async (req, res) => {
       lastSeen: new Date(),
       isEmailVerified: false,
       emailVerificationToken: verificationToken,
-      emailVerificationExpires: verificationExpires
+      emailVerificationExpires: verificationExpires,
+      // Emails go out in the browser's language when we have templates for it
+      preferences: { locale: req.acceptsLanguages(...EMAIL_LOCALES) || EMAIL_LOCALES[0] }
     });
 
     await user.save();
 
-    // Send verification email
+    // Queue verification email; the email worker retries delivery on its own.
+    // The account is kept even if queueing fails - the user can ask for a new link.
+    let emailQueued = true;
     try {
-      await emailService.sendVerificationEmail(email, username, verificationToken);
+      await emailService.sendVerificationEmail(email, username, verificationToken, user.preferences.locale);
     } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Delete user if email fails
-      await User.findByIdAndDelete(user._id);
-      return res.status(500).json({
-        success: false,
-        error: "Failed to send verification email. Please check your email address and try again."
-      });
+      console.error('Verification email could not be queued:', emailError);
+      emailQueued = false;
     }
 
     res.status(201).json({
       success: true,
-      message: "Registration successful! Please check your email to verify your account.",
+      message: emailQueued
+        ? "Registration successful! Please check your email to verify your account."
+        : "Registration successful, but we couldn't send the verification email. Please request a new one.",
+      emailQueued,
       user: {
         id: user._id,
         username: user.username,
@@ -110,27 +122,48 @@ router.get("/verify-email/:token", async (req, res) => {
       });
     }
 
+    // A verified user with a pending address is confirming an email change
+    const isEmailChange = user.isEmailVerified && Boolean(user.pendingEmail);
+
+    if (isEmailChange) {
+      const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        user.pendingEmail = null;
+        user.emailVerificationToken = null;
+        user.emailVerificationExpires = null;
+        await user.save();
+        return res.status(400).json({
+          success: false,
+          error: "This email address is already in use"
+        });
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
     // Update user as verified
     user.isEmailVerified = true;
     user.emailVerificationToken = null;
     user.emailVerificationExpires = null;
-    user.isOnline = true;
     await user.save();
 
-    // Send welcome email
-    await emailService.sendWelcomeEmail(user.email, user.username);
+    // Queue welcome email (only for new accounts) without holding up the response
+    if (!isEmailChange) {
+      emailService.sendWelcomeEmail(user.email, user.username, user.preferences.locale);
+    }
 
-    // Generate token for auto-login
-    const authToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || "fallback-secret-key",
-      { expiresIn: "7d" }
-    );
+    // Start a session for auto-login
+    const { token: authToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     res.status(200).json({
       success: true,
-      message: "Email verified successfully! You can now login.",
+      message: isEmailChange
+        ? "Email address updated successfully!"
+        : "Email verified successfully! You can now login.",
       token: authToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username,
@@ -188,7 +221,7 @@ router.post("/resend-verification", async (req, res) => {
     await user.save();
 
     // Send verification email
-    await emailService.sendVerificationEmail(email, user.username, verificationToken);
+    await emailService.sendVerificationEmail(email, user.username, verificationToken, user.preferences.locale);
 
     res.status(200).json({
       success: true,
@@ -245,22 +278,19 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Update online status
-    user.isOnline = true;
+    // Online status follows socket connections; just note the sign-in
     user.lastSeen = new Date();
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || "fallback-secret-key",
-      { expiresIn: "7d" }
-    );
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     res.json({
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username,
@@ -282,4 +312,186 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// Forgot Password: email a single-use reset link
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is required"
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for that email, a password reset link has been sent."
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the hash is stored; the raw token goes out in the email
+    const resetToken = emailService.generateVerificationToken();
+    user.passwordResetToken = sessionService.hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    await user.save();
+
+    // A failure here must look the same as an unknown email. The stored token
+    // is only a hash and expires on its own; the user can simply ask again.
+    try {
+      await emailService.sendPasswordResetEmail(user.email, user.username, resetToken, user.preferences.locale);
+    } catch (emailError) {
+      console.error('Password reset email could not be queued:', emailError);
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process password reset request. Please try again."
+    });
+  }
+});
+
+// Reset Password: set a new password using the emailed token
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Token and new password are required"
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: "Password must be at least 6 characters"
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: sessionService.hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired password reset token"
+      });
+    }
+
+    user.password = password; // Will be automatically hashed by the User model
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Sign out every device that was using the old password
+    const revokedCount = await sessionService.revokeAllSessions(user._id);
+    sessionService.disconnectSockets(req.app.get('io'), { userId: user._id.toString() });
+
+    console.log(`🔑 Password reset for ${user.username}, revoked ${revokedCount} sessions`);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully! Please log in with your new password."
+    });
+
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Password reset failed. Please try again."
+    });
+  }
+});
+
+// Refresh: exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token is required"
+      });
+    }
+
+    const tokens = await sessionService.rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token. Please log in again."
+      });
+    }
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh token. Please try again."
+    });
+  }
+});
+
+// Logout: revoke the session for the current device
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId);
+    sessionService.disconnectSockets(req.app.get('io'), { sessionId: req.user.sessionId });
+
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Logout failed. Please try again."
+    });
+  }
+});
+
+// Logout everywhere: revoke every session for the current user
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id);
+    // Disconnecting the sockets marks the user offline
+    sessionService.disconnectSockets(req.app.get('io'), { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: "Logged out of all devices",
+      revokedSessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Logout failed. Please try again."
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,122 @@
+import express from 'express';
+import Call, { CALL_OUTCOMES } from '../models/Call.js';
+import callService from '../services/callService.js';
+import transcriptService from '../services/transcriptService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { parsePagination } from '../utils/pagination.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Get call history for the current user, newest first.
+// Optional filters: ?outcome=missed, ?direction=incoming|outgoing
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { outcome, direction } = req.query;
+
+    if (outcome && !CALL_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: `Outcome must be one of: ${CALL_OUTCOMES.join(', ')}`
+      });
+    }
+
+    const filter = direction === 'incoming'
+      ? { callee: userId }
+      : direction === 'outgoing'
+        ? { caller: userId }
+        : { $or: [{ caller: userId }, { callee: userId }] };
+
+    if (outcome) filter.outcome = outcome;
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+
+    const [calls, total] = await Promise.all([
+      Call.find(filter)
+        .populate('caller', 'username avatar')
+        .populate('callee', 'username avatar')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Call.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      calls: calls.map(call => callService.formatCall(call, userId)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + calls.length < total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching call history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call history'
+    });
+  }
+});
+
+// Get the saved caption transcript of a call you took part in.
+// ?format=json (default), vtt or srt
+router.get('/:callId/transcript', authenticateToken, async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'vtt', 'srt'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: json, vtt, srt'
+      });
+    }
+
+    const call = await Call.findOne({
+      callId: req.params.callId,
+      $or: [{ caller: req.user.id }, { callee: req.user.id }]
+    });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const cues = await transcriptService.buildCues(call);
+    // Old calls may carry ids picked by a client; keep the header filename safe
+    const filename = `call-${call.callId.replace(/[^A-Za-z0-9_-]/g, '')}`;
+
+    if (format === 'vtt') {
+      res.set('Content-Type', 'text/vtt; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.vtt"`);
+      return res.send(transcriptService.toWebVTT(cues));
+    }
+
+    if (format === 'srt') {
+      res.set('Content-Type', 'application/x-subrip; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.srt"`);
+      return res.send(transcriptService.toSRT(cues));
+    }
+
+    res.json({
+      success: true,
+      callId: call.callId,
+      startedAt: call.answeredAt || call.startedAt,
+      captions: cues
+    });
+  } catch (error) {
+    console.error('❌ Error fetching transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transcript'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import emailTemplates from '../services/emailTemplates.js';
+
+const router = express.Router();
+
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const UNSUBSCRIBE_URL = `${process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`}/api/notifications/unsubscribe?user=sample&sig=sample`;
+
+// Sample data for each template, shaped like what EmailService passes in
+const SAMPLE_DATA = {
+  verification: {
+    username: 'alex',
+    verificationUrl: `${APP_URL}/verify-email?token=sample-verification-token`
+  },
+  welcome: {
+    username: 'alex'
+  },
+  'password-reset': {
+    username: 'alex',
+    resetUrl: `${APP_URL}/reset-password?token=sample-reset-token`
+  },
+  digest: {
+    username: 'alex',
+    unsubscribeAllUrl: `${UNSUBSCRIBE_URL}&category=all`,
+    friendRequests: {
+      total: 2,
+      more: 0,
+      items: [
+        { username: 'jordan', message: 'We met at the ASL meetup!' },
+        { username: 'sam', message: '' }
+      ],
+      unsubscribeUrl: `${UNSUBSCRIBE_URL}&category=friendRequests`
+    },
+    missedCalls: {
+      total: 12,
+      more: 2,
+      items: Array.from({ length: 10 }, (_, i) => ({ username: i % 2 ? 'jordan' : 'riley' })),
+      unsubscribeUrl: `${UNSUBSCRIBE_URL}&category=missedCalls`
+    },
+    unreadMessages: {
+      total: 4,
+      more: 0,
+      items: [
+        { username: 'riley', count: 3, single: false },
+        { username: 'sam', count: 1, single: true }
+      ],
+      unsubscribeUrl: `${UNSUBSCRIBE_URL}&category=unreadMessages`
+    }
+  }
+};
+
+// List templates and locales with preview links
+router.get('/', (req, res) => {
+  const locales = emailTemplates.locales();
+
+  res.json({
+    success: true,
+    locales,
+    templates: emailTemplates.names().map(name => ({
+      name,
+      previews: Object.fromEntries(locales.map(locale => [locale, `${req.baseUrl}/${name}?locale=${locale}`]))
+    }))
+  });
+});
+
+// Render a template with sample data: ?locale=es, ?format=html (default) | text | json
+router.get('/:template', (req, res) => {
+  const { template } = req.params;
+  const { locale, format = 'html' } = req.query;
+
+  if (!emailTemplates.names().includes(template)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown email template: ${template}`
+    });
+  }
+
+  const locales = emailTemplates.locales();
+  if (locale !== undefined && !locales.includes(locale)) {
+    return res.status(400).json({
+      success: false,
+      error: `Locale must be one of: ${locales.join(', ')}`
+    });
+  }
+
+  try {
+    const email = emailTemplates.render(template, { appUrl: APP_URL, ...SAMPLE_DATA[template] }, locale);
+
+    if (format === 'json') return res.json({ success: true, email });
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text || '(no plain-text version)'}`);
+    }
+    res.type('html').send(email.html);
+  } catch (error) {
+    console.error('❌ Error rendering email preview:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,26 @@
 ﻿import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import FriendRequest from "../models/FriendRequest.js";
+import { authenticateToken, enforceCurrentUser } from "../middleware/auth.js";
+import notificationService from "../services/notificationService.js";
+import presenceService from "../services/presenceService.js";
 
 const router = express.Router();
 
+// Email / online status / last seen of another user, hidden per their privacy settings
+const privateFieldsFor = (user, viewerId) => {
+  const showLastSeen = user.isVisibleTo('lastSeenVisibility', viewerId);
+  const presence = user.presenceSummary();
+  return {
+    email: user.isVisibleTo('emailVisibility', viewerId) ? user.email : null,
+    isOnline: showLastSeen ? presence.isOnline : null,
+    status: showLastSeen ? presence.status : null,
+    statusText: showLastSeen ? presence.statusText : null,
+    lastSeen: showLastSeen ? user.lastSeen : null
+  };
+};
+
 // Add CORS headers to all friend routes
 router.use((req, res, next) => {
   const allowedOrigins = [
@@ -44,20 +61,38 @@ router.options('*', (req, res) => {
   res.status(200).send();
 });
 
+// Health check for friends route
+router.get("/health", (req, res) => {
+  res.json({
+    success: true,
+    message: "Friends API is working",
+    timestamp: new Date().toISOString(),
+    endpoints: {
+      getFriends: "GET /api/friends",
+      getFriendRequests: "GET /api/friends/requests",
+      sendFriendRequest: "POST /api/friends/requests/send",
+      acceptFriendRequest: "POST /api/friends/requests/accept",
+      rejectFriendRequest: "POST /api/friends/requests/reject",
+      cancelFriendRequest: "POST /api/friends/requests/cancel",
+      removeFriend: "POST /api/friends/remove",
+      blockUser: "POST /api/friends/block",
+      unblockUser: "POST /api/friends/unblock",
+      getBlockedUsers: "GET /api/friends/blocked"
+    }
+  });
+});
+
+// Everything below acts on behalf of the authenticated user. A client-supplied
+// currentUserId is still accepted for compatibility but must match the token.
+router.use(authenticateToken, enforceCurrentUser);
+
 // Get friends list (REAL data, not mock)
 router.get("/", async (req, res) => {
   try {
-    const { currentUserId } = req.query;
-
-    if (!currentUserId) {
-      return res.status(400).json({
-        success: false,
-        error: "Current User ID is required"
-      });
-    }
+    const currentUserId = req.user.id;
 
     // Get actual user with populated friends
-    const user = await User.findById(currentUserId).populate('friends', 'username email userType avatar isOnline lastSeen');
+    const user = await User.findById(currentUserId).populate('friends', 'username email userType avatar isOnline lastSeen presence privacy friends');
     
     if (!user) {
       return res.status(404).json({
@@ -70,7 +105,13 @@ router.get("/", async (req, res) => {
     
     res.json({
       success: true,
-      friends: user.friends
+      friends: user.friends.map(friend => ({
+        _id: friend._id,
+        username: friend.username,
+        userType: friend.userType,
+        avatar: friend.avatar,
+        ...privateFieldsFor(friend, currentUserId)
+      }))
     });
   } catch (error) {
     console.error("Get friends error:", error);
@@ -84,20 +125,13 @@ router.get("/", async (req, res) => {
 // Get pending friend requests
 router.get("/requests", async (req, res) => {
   try {
-    const { currentUserId } = req.query;
-
-    if (!currentUserId) {
-      return res.status(400).json({
-        success: false,
-        error: "Current User ID is required"
-      });
-    }
+    const currentUserId = req.user.id;
 
     // Get actual pending requests from database
     const receivedRequests = await FriendRequest.find({
       toUser: currentUserId,
       status: 'pending'
-    }).populate('fromUser', 'username email userType avatar isOnline lastSeen');
+    }).populate('fromUser', 'username email userType avatar isOnline lastSeen presence privacy friends');
 
     console.log(`📥 Found ${receivedRequests.length} pending requests for user ${currentUserId}`);
 
@@ -107,11 +141,9 @@ router.get("/requests", async (req, res) => {
       fromUser: {
         _id: req.fromUser._id,
         username: req.fromUser.username,
-        email: req.fromUser.email,
         userType: req.fromUser.userType,
         avatar: req.fromUser.avatar,
-        isOnline: req.fromUser.isOnline,
-        lastSeen: req.fromUser.lastSeen
+        ...privateFieldsFor(req.fromUser, currentUserId)
       },
       toUser: req.toUser,
       status: req.status,
@@ -135,12 +167,13 @@ router.get("/requests", async (req, res) => {
 // Send friend request
 router.post("/requests/send", async (req, res) => {
   try {
-    const { userId, currentUserId } = req.body;
+    const { userId } = req.body;
+    const currentUserId = req.user.id;
 
-    if (!userId || !currentUserId) {
+    if (!userId) {
       return res.status(400).json({
         success: false,
-        error: "User ID and Current User ID are required"
+        error: "User ID is required"
       });
     }
 
@@ -170,6 +203,14 @@ router.post("/requests/send", async (req, res) => {
       });
     }
 
+    // Check if either user has blocked the other
+    if (await User.isBlockedBetween(currentUserId, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot send a friend request to this user"
+      });
+    }
+
     // Check if already friends
     const isAlreadyFriend = currentUser.friends.includes(userId);
     if (isAlreadyFriend) {
@@ -207,32 +248,26 @@ router.post("/requests/send", async (req, res) => {
     await friendRequest.save();
 
     // Populate the request with user data
-    await friendRequest.populate('fromUser', 'username avatar userType email isOnline lastSeen');
+    await friendRequest.populate('fromUser', 'username avatar userType email isOnline lastSeen presence');
 
-    // REAL-TIME NOTIFICATION: Emit socket event to the recipient
-    const io = req.app.get('io');
-    const connectedUsers = req.app.get('connectedUsers');
-    
-    if (io && connectedUsers) {
-      const recipientSocketId = connectedUsers.get(userId);
-      if (recipientSocketId) {
-        io.to(recipientSocketId).emit('new_friend_request', {
-          requestId: friendRequest._id,
-          fromUser: {
-            id: currentUser._id,
-            username: currentUser.username,
-            email: currentUser.email,
-            userType: currentUser.userType,
-            avatar: currentUser.avatar,
-            isOnline: currentUser.isOnline,
-            lastSeen: currentUser.lastSeen
-          },
-          timestamp: new Date().toISOString()
-        });
-        console.log(`📬 Real-time notification sent to ${targetUser.username}`);
-      } else {
-        console.log(`⚠️ User ${targetUser.username} is offline, will see request when they come online`);
-      }
+    // REAL-TIME NOTIFICATION: tell the recipient on all their devices
+    notificationService.notifyUser(userId, 'new_friend_request', {
+      requestId: friendRequest._id,
+      fromUser: {
+        id: currentUser._id,
+        username: currentUser.username,
+        userType: currentUser.userType,
+        avatar: currentUser.avatar,
+        ...privateFieldsFor(currentUser, userId)
+      },
+      timestamp: new Date().toISOString()
+    });
+    await notificationService.record(userId, 'friend_request', {
+      actorId: currentUser._id,
+      data: { requestId: friendRequest._id.toString() }
+    });
+    if (!await notificationService.isOnline(userId)) {
+      console.log(`⚠️ User ${targetUser.username} is offline, will see request when they come online`);
     }
 
     res.status(201).json({
@@ -259,19 +294,20 @@ router.post("/requests/send", async (req, res) => {
 // Accept friend request
 router.post("/requests/accept", async (req, res) => {
   try {
-    const { requestId, currentUserId } = req.body;
+    const { requestId } = req.body;
+    const currentUserId = req.user.id;
 
-    if (!requestId || !currentUserId) {
+    if (!requestId) {
       return res.status(400).json({
         success: false,
-        error: "Request ID and Current User ID are required"
+        error: "Request ID is required"
       });
     }
 
     // Find the friend request
     const friendRequest = await FriendRequest.findById(requestId)
-      .populate('fromUser', 'username friends email userType avatar isOnline lastSeen')
-      .populate('toUser', 'username friends email userType avatar isOnline lastSeen');
+      .populate('fromUser', 'username friends email userType avatar isOnline lastSeen presence')
+      .populate('toUser', 'username friends email userType avatar isOnline lastSeen presence');
 
     if (!friendRequest) {
       return res.status(404).json({
@@ -307,28 +343,21 @@ router.post("/requests/accept", async (req, res) => {
     }
 
     // REAL-TIME NOTIFICATION: Notify the sender that their request was accepted
-    const io = req.app.get('io');
-    const connectedUsers = req.app.get('connectedUsers');
-    
-    if (io && connectedUsers) {
-      const senderSocketId = connectedUsers.get(fromUser._id.toString());
-      if (senderSocketId) {
-        io.to(senderSocketId).emit('friend_request_accepted', {
-          requestId: friendRequest._id,
-          newFriend: {
-            id: toUser._id,
-            username: toUser.username,
-            email: toUser.email,
-            userType: toUser.userType,
-            avatar: toUser.avatar,
-            isOnline: toUser.isOnline,
-            lastSeen: toUser.lastSeen
-          },
-          timestamp: new Date().toISOString()
-        });
-        console.log(`📬 Notified ${fromUser.username} that ${toUser.username} accepted their friend request`);
-      }
-    }
+    notificationService.notifyUser(fromUser._id, 'friend_request_accepted', {
+      requestId: friendRequest._id,
+      newFriend: {
+        id: toUser._id,
+        username: toUser.username,
+        userType: toUser.userType,
+        avatar: toUser.avatar,
+        ...privateFieldsFor(toUser, fromUser._id)
+      },
+      timestamp: new Date().toISOString()
+    });
+    await notificationService.record(fromUser._id, 'friend_request_accepted', {
+      actorId: toUser._id,
+      data: { requestId: friendRequest._id.toString() }
+    });
 
     res.json({
       success: true,
@@ -336,11 +365,9 @@ router.post("/requests/accept", async (req, res) => {
       newFriend: {
         id: fromUser._id,
         username: fromUser.username,
-        email: fromUser.email,
         userType: fromUser.userType,
         avatar: fromUser.avatar,
-        isOnline: fromUser.isOnline,
-        lastSeen: fromUser.lastSeen
+        ...privateFieldsFor(fromUser, currentUserId)
       }
     });
 
@@ -356,12 +383,13 @@ router.post("/requests/accept", async (req, res) => {
 // Reject friend request
 router.post("/requests/reject", async (req, res) => {
   try {
-    const { requestId, currentUserId } = req.body;
+    const { requestId } = req.body;
+    const currentUserId = req.user.id;
 
-    if (!requestId || !currentUserId) {
+    if (!requestId) {
       return res.status(400).json({
         success: false,
-        error: "Request ID and Current User ID are required"
+        error: "Request ID is required"
       });
     }
 
@@ -387,6 +415,13 @@ router.post("/requests/reject", async (req, res) => {
     friendRequest.status = 'rejected';
     await friendRequest.save();
 
+    // REAL-TIME NOTIFICATION: let the sender drop the pending request
+    notificationService.notifyUser(friendRequest.fromUser, 'friend_request_rejected', {
+      requestId: friendRequest._id,
+      userId: currentUserId,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({
       success: true,
       message: "Friend request rejected"
@@ -404,30 +439,21 @@ router.post("/requests/reject", async (req, res) => {
 // Get received friend requests
 router.get("/requests/received", async (req, res) => {
   try {
-    const { currentUserId } = req.query;
-
-    if (!currentUserId) {
-      return res.status(400).json({
-        success: false,
-        error: "Current User ID is required"
-      });
-    }
+    const currentUserId = req.user.id;
 
     const receivedRequests = await FriendRequest.find({
       toUser: currentUserId,
       status: 'pending'
-    }).populate('fromUser', 'username email userType avatar isOnline lastSeen');
+    }).populate('fromUser', 'username email userType avatar isOnline lastSeen presence privacy friends');
 
     res.json({
       success: true,
       requests: receivedRequests.map(req => ({
         id: req._id,
         username: req.fromUser.username,
-        email: req.fromUser.email,
         userType: req.fromUser.userType,
         avatar: req.fromUser.avatar,
-        isOnline: req.fromUser.isOnline,
-        lastSeen: req.fromUser.lastSeen,
+        ...privateFieldsFor(req.fromUser, currentUserId),
         sentAt: req.createdAt,
         status: req.status
       }))
@@ -445,30 +471,21 @@ router.get("/requests/received", async (req, res) => {
 // Get sent friend requests
 router.get("/requests/sent", async (req, res) => {
   try {
-    const { currentUserId } = req.query;
-
-    if (!currentUserId) {
-      return res.status(400).json({
-        success: false,
-        error: "Current User ID is required"
-      });
-    }
+    const currentUserId = req.user.id;
 
     const sentRequests = await FriendRequest.find({
       fromUser: currentUserId,
       status: 'pending'
-    }).populate('toUser', 'username email userType avatar isOnline lastSeen');
+    }).populate('toUser', 'username email userType avatar isOnline lastSeen presence privacy friends');
 
     res.json({
       success: true,
       requests: sentRequests.map(req => ({
         id: req._id,
         username: req.toUser.username,
-        email: req.toUser.email,
         userType: req.toUser.userType,
         avatar: req.toUser.avatar,
-        isOnline: req.toUser.isOnline,
-        lastSeen: req.toUser.lastSeen,
+        ...privateFieldsFor(req.toUser, currentUserId),
         sentAt: req.createdAt,
         status: req.status
       }))
@@ -486,12 +503,13 @@ router.get("/requests/sent", async (req, res) => {
 // Cancel sent friend request
 router.post("/requests/cancel", async (req, res) => {
   try {
-    const { requestId, currentUserId } = req.body;
+    const { requestId } = req.body;
+    const currentUserId = req.user.id;
 
-    if (!requestId || !currentUserId) {
+    if (!requestId) {
       return res.status(400).json({
         success: false,
-        error: "Request ID and Current User ID are required"
+        error: "Request ID is required"
       });
     }
 
@@ -516,6 +534,16 @@ router.post("/requests/cancel", async (req, res) => {
     // Delete the request
     await FriendRequest.findByIdAndDelete(requestId);
 
+    // REAL-TIME NOTIFICATION: remove the request from the recipient's inbox
+    notificationService.notifyUser(friendRequest.toUser, 'friend_request_cancelled', {
+      requestId: friendRequest._id,
+      userId: currentUserId,
+      timestamp: new Date().toISOString()
+    });
+    await notificationService.dismiss(friendRequest.toUser, 'friend_request', {
+      requestId: friendRequest._id.toString()
+    });
+
     res.json({
       success: true,
       message: "Friend request cancelled"
@@ -533,12 +561,13 @@ router.post("/requests/cancel", async (req, res) => {
 // Remove friend
 router.post("/remove", async (req, res) => {
   try {
-    const { friendId, currentUserId } = req.body;
+    const { friendId } = req.body;
+    const currentUserId = req.user.id;
 
-    if (!friendId || !currentUserId) {
+    if (!friendId) {
       return res.status(400).json({
         success: false,
-        error: "Friend ID and Current User ID are required"
+        error: "Friend ID is required"
       });
     }
 
@@ -559,6 +588,17 @@ router.post("/remove", async (req, res) => {
       ]
     });
 
+    // REAL-TIME NOTIFICATION: update the other user's friend list, and the
+    // remover's other devices
+    notificationService.notifyUser(friendId, 'friend_removed', {
+      userId: currentUserId,
+      timestamp: new Date().toISOString()
+    });
+    notificationService.notifyUser(currentUserId, 'friend_removed', {
+      userId: friendId,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({
       success: true,
       message: "Friend removed successfully"
@@ -573,18 +613,150 @@ router.post("/remove", async (req, res) => {
   }
 });
 
-// Get friend suggestions
-router.get("/suggestions", async (req, res) => {
+// Block a user: ends any friendship and pending requests between you
+router.post("/block", async (req, res) => {
   try {
-    const { currentUserId } = req.query;
+    const { userId } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: "User ID is required"
+      });
+    }
 
-    if (!currentUserId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({
         success: false,
-        error: "Current User ID is required"
+        error: "Invalid user ID"
+      });
+    }
+
+    if (userId === currentUserId) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot block yourself"
+      });
+    }
+
+    const targetUser = await User.findById(userId).select('username');
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
       });
     }
 
+    await User.findByIdAndUpdate(currentUserId, {
+      $addToSet: { blockedUsers: userId },
+      $pull: { friends: userId }
+    });
+
+    await User.findByIdAndUpdate(userId, {
+      $pull: { friends: currentUserId }
+    });
+
+    await FriendRequest.deleteMany({
+      $or: [
+        { fromUser: currentUserId, toUser: userId },
+        { fromUser: userId, toUser: currentUserId }
+      ]
+    });
+
+    await presenceService.refreshBlockedIds([currentUserId, userId]);
+
+    res.json({
+      success: true,
+      message: `${targetUser.username} has been blocked`
+    });
+
+  } catch (error) {
+    console.error("Block user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to block user"
+    });
+  }
+});
+
+// Unblock a user
+router.post("/unblock", async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: "User ID is required"
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID"
+      });
+    }
+
+    await User.findByIdAndUpdate(currentUserId, {
+      $pull: { blockedUsers: userId }
+    });
+
+    await presenceService.refreshBlockedIds([currentUserId, userId]);
+
+    res.json({
+      success: true,
+      message: "User unblocked"
+    });
+
+  } catch (error) {
+    console.error("Unblock user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unblock user"
+    });
+  }
+});
+
+// Get the users you have blocked
+router.get("/blocked", async (req, res) => {
+  try {
+    const currentUserId = req.user.id;
+
+    const user = await User.findById(currentUserId).populate('blockedUsers', 'username userType avatar');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      blockedUsers: user.blockedUsers.map(blocked => ({
+        id: blocked._id,
+        username: blocked.username,
+        userType: blocked.userType,
+        avatar: blocked.avatar
+      }))
+    });
+
+  } catch (error) {
+    console.error("Get blocked users error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get blocked users"
+    });
+  }
+});
+
+// Get friend suggestions
+router.get("/suggestions", async (req, res) => {
+  try {
+    const currentUserId = req.user.id;
+
     // Get current user's friends
     const currentUser = await User.findById(currentUserId).populate('friends');
     if (!currentUser) {
@@ -595,18 +767,37 @@ router.get("/suggestions", async (req, res) => {
     }
 
     const friendIds = currentUser.friends.map(friend => friend._id);
-    friendIds.push(currentUserId); // Exclude self
+    friendIds.push(currentUser._id); // Exclude self
+    const excludedIds = [...friendIds, ...currentUser.blockedUsers];
 
-    // Get random users who are not friends
+    // Get random users who are not friends and who allow being found
     const suggestions = await User.aggregate([
-      { $match: { _id: { $nin: friendIds } } },
+      {
+        $match: {
+          _id: { $nin: excludedIds },
+          blockedUsers: { $ne: currentUser._id },
+          $or: [
+            { 'privacy.discoverability': { $nin: ['friends_of_friends', 'nobody'] } },
+            { 'privacy.discoverability': 'friends_of_friends', friends: { $in: friendIds } }
+          ]
+        }
+      },
       { $sample: { size: 5 } },
-      { $project: { username: 1, email: 1, userType: 1, avatar: 1, isOnline: 1, lastSeen: 1 } }
+      { $project: { username: 1, email: 1, userType: 1, avatar: 1, isOnline: 1, lastSeen: 1, presence: 1, privacy: 1, friends: 1 } }
     ]);
 
     res.json({
       success: true,
-      suggestions
+      suggestions: suggestions.map(doc => {
+        const suggestion = User.hydrate(doc);
+        return {
+          _id: suggestion._id,
+          username: suggestion.username,
+          userType: suggestion.userType,
+          avatar: suggestion.avatar,
+          ...privateFieldsFor(suggestion, currentUserId)
+        };
+      })
     });
 
   } catch (error) {
@@ -618,22 +809,4 @@ router.get("/suggestions", async (req, res) => {
   }
 });
 
-// Health check for friends route
-router.get("/health", (req, res) => {
-  res.json({
-    success: true,
-    message: "Friends API is working",
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      getFriends: "GET /api/friends?currentUserId=USER_ID",
-      getFriendRequests: "GET /api/friends/requests?currentUserId=USER_ID",
-      sendFriendRequest: "POST /api/friends/requests/send",
-      acceptFriendRequest: "POST /api/friends/requests/accept",
-      rejectFriendRequest: "POST /api/friends/requests/reject",
-      cancelFriendRequest: "POST /api/friends/requests/cancel",
-      removeFriend: "POST /api/friends/remove"
-    }
-  });
-});
-
 export default router;
\ No newline at end of file
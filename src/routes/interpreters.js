@@ -0,0 +1,176 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User, { SIGN_LANGUAGES } from '../models/User.js';
+import Room from '../models/Room.js';
+import InterpreterRequest from '../models/InterpreterRequest.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  cancelInterpreterRequest,
+  queueStatus,
+  dispatchInterpreterQueue
+} from '../websocket/interpreters.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Shape a request for API responses, with its queue position while waiting
+const formatRequest = async (request) => ({
+  id: request._id,
+  roomId: request.roomId,
+  signLanguage: request.signLanguage || null,
+  status: request.status,
+  interpreterId: request.interpreter,
+  queue: await queueStatus(request),
+  createdAt: request.createdAt,
+  acceptedAt: request.acceptedAt
+});
+
+// Update an interpreter's availability and languages
+router.put('/availability', async (req, res) => {
+  try {
+    const { acceptingRequests, signLanguages } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (user.userType !== 'interpreter') {
+      return res.status(403).json({ success: false, error: 'Only interpreters can set availability' });
+    }
+
+    if (acceptingRequests !== undefined) {
+      if (typeof acceptingRequests !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'acceptingRequests must be true or false' });
+      }
+      user.interpreter.acceptingRequests = acceptingRequests;
+    }
+
+    if (signLanguages !== undefined) {
+      if (!Array.isArray(signLanguages) || signLanguages.some(language => !SIGN_LANGUAGES.includes(language))) {
+        return res.status(400).json({
+          success: false,
+          error: `signLanguages must be a list of: ${SIGN_LANGUAGES.join(', ')}`
+        });
+      }
+      user.interpreter.signLanguages = signLanguages;
+    }
+
+    await user.save();
+
+    // They may be able to take a waiting request right away
+    if (user.interpreter.acceptingRequests) dispatchInterpreterQueue();
+
+    res.json({
+      success: true,
+      interpreter: {
+        acceptingRequests: user.interpreter.acceptingRequests,
+        signLanguages: user.interpreter.signLanguages
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating interpreter availability:', error);
+    res.status(500).json({ success: false, error: 'Failed to update availability' });
+  }
+});
+
+// Request an interpreter for a group call room
+router.post('/requests', async (req, res) => {
+  try {
+    const { roomId, signLanguage } = req.body;
+
+    if (!roomId) {
+      return res.status(400).json({ success: false, error: 'Room ID is required' });
+    }
+
+    if (signLanguage !== undefined && !SIGN_LANGUAGES.includes(signLanguage)) {
+      return res.status(400).json({
+        success: false,
+        error: `signLanguage must be one of: ${SIGN_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const room = await Room.findOne({ roomId }).populate('host', 'friends');
+    if (!room || !room.canJoin(req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+
+    const existing = await InterpreterRequest.findOne({
+      requester: req.user.id,
+      roomId,
+      status: { $in: ['queued', 'ringing'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have an interpreter request for this room',
+        request: await formatRequest(existing)
+      });
+    }
+
+    const request = await InterpreterRequest.create({
+      requester: req.user.id,
+      roomId,
+      signLanguage
+    });
+
+    // Saved as queued; try to match it straight away
+    await dispatchInterpreterQueue();
+    const saved = await InterpreterRequest.findById(request._id);
+
+    res.status(201).json({
+      success: true,
+      request: await formatRequest(saved)
+    });
+  } catch (error) {
+    console.error('❌ Error requesting interpreter:', error);
+    res.status(500).json({ success: false, error: 'Failed to request interpreter' });
+  }
+});
+
+// Get the status of one of your interpreter requests
+router.get('/requests/:requestId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const request = await InterpreterRequest.findOne({ _id: req.params.requestId, requester: req.user.id });
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    res.json({ success: true, request: await formatRequest(request) });
+  } catch (error) {
+    console.error('❌ Error fetching interpreter request:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch request' });
+  }
+});
+
+// Cancel one of your interpreter requests while it is still waiting
+router.delete('/requests/:requestId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const request = await InterpreterRequest.findOne({
+      _id: req.params.requestId,
+      requester: req.user.id,
+      status: { $in: ['queued', 'ringing'] }
+    });
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    await cancelInterpreterRequest(request);
+
+    res.json({ success: true, message: 'Interpreter request cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling interpreter request:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel request' });
+  }
+});
+
+export default router;
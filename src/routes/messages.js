@@ -1,14 +1,87 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Message from '../models/Message.js';
+import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import notificationService from '../services/notificationService.js';
 
 const router = express.Router();
 
-// Get all messages for a user
-// CHANGED: Removed authenticateToken middleware
-router.get('/user/:userId', async (req, res) => {
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Shape a Message document (populated or not) for the given viewer
+const formatMessage = (msg, viewerId) => {
+  const senderId = (msg.sender._id || msg.sender).toString();
+  const recipientId = (msg.recipient._id || msg.recipient).toString();
+
+  return {
+    id: msg._id.toString(),
+    senderId,
+    recipientId,
+    text: msg.content,
+    timestamp: msg.createdAt,
+    sender: senderId === viewerId ? 'me' : 'them',
+    delivered: msg.delivered,
+    read: msg.read,
+    readAt: msg.readAt
+  };
+};
+
+// A conversation partner as the viewer is allowed to see them: online status
+// and last seen follow the partner's lastSeenVisibility, and invisible users
+// show as offline
+const formatPartner = (partner, viewerId) => {
+  const showLastSeen = partner.isVisibleTo('lastSeenVisibility', viewerId);
+  const presence = partner.presenceSummary();
+
+  return {
+    id: partner._id,
+    username: partner.username,
+    avatar: partner.avatar,
+    userType: partner.userType,
+    isOnline: showLastSeen ? presence.isOnline : null,
+    status: showLastSeen ? presence.status : null,
+    statusText: showLastSeen ? presence.statusText : null,
+    lastSeen: showLastSeen ? partner.lastSeen : null
+  };
+};
+
+// Resolve a pagination cursor (message id or timestamp) into { createdAt, id }
+const resolveCursor = async (cursor, conversationFilter) => {
+  if (mongoose.Types.ObjectId.isValid(cursor) && String(new mongoose.Types.ObjectId(cursor)) === cursor) {
+    const message = await Message.findOne({ _id: cursor, $or: conversationFilter }).select('createdAt');
+    return message ? { createdAt: message.createdAt, id: message._id } : null;
+  }
+
+  const date = new Date(cursor);
+  return isNaN(date.getTime()) ? null : { createdAt: date, id: null };
+};
+
+// Build a createdAt constraint strictly before/after a cursor, tie-broken by _id
+const cursorConstraint = ({ createdAt, id }, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  if (!id) return { createdAt: { [op]: createdAt } };
+
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Get all messages for a user (only the authenticated user's own)
+router.get('/user/:userId', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
+
+    if (userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only read your own messages'
+      });
+    }
     
     console.log(`📨 Fetching messages for user: ${userId}`);
     
@@ -24,16 +97,7 @@ router.get('/user/:userId', async (req, res) => {
 
     console.log(`✅ Found ${messages.length} messages for user ${userId}`);
     
-    const formattedMessages = messages.map(msg => ({
-      id: msg._id.toString(),
-      senderId: msg.sender._id.toString(),
-      recipientId: msg.recipient._id.toString(),
-      text: msg.content,
-      timestamp: msg.createdAt,
-      sender: msg.sender._id.toString() === userId ? 'me' : 'them',
-      delivered: true,
-      read: false
-    }));
+    const formattedMessages = messages.map(msg => formatMessage(msg, userId));
 
     res.json({
       success: true,
@@ -49,4 +113,221 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// Get one page of the conversation between the current user and another user.
+// Pass `before` or `after` (message id or ISO timestamp) to page; results are
+// always returned oldest first.
+router.get('/conversation/:otherUserId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { otherUserId } = req.params;
+    const { before, after } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (before && after) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use either before or after, not both'
+      });
+    }
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(
+      Number.isNaN(requestedLimit) || requestedLimit < 1 ? DEFAULT_PAGE_SIZE : requestedLimit,
+      MAX_PAGE_SIZE
+    );
+
+    // Each branch matches the { sender, recipient, createdAt } index
+    const conversationFilter = [
+      { sender: userId, recipient: otherUserId },
+      { sender: otherUserId, recipient: userId }
+    ];
+
+    const direction = after ? 'after' : 'before';
+    const filter = { $or: conversationFilter };
+
+    const cursorValue = after || before;
+    if (cursorValue) {
+      const cursor = await resolveCursor(cursorValue, conversationFilter);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pagination cursor'
+        });
+      }
+      filter.$and = [cursorConstraint(cursor, direction)];
+    }
+
+    const sortOrder = direction === 'after' ? 1 : -1;
+    const page = await Message.find(filter)
+      .sort({ createdAt: sortOrder, _id: sortOrder })
+      .limit(limit + 1);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+    if (direction === 'before') messages.reverse();
+
+    const formattedMessages = messages.map(msg => formatMessage(msg, userId));
+    const first = formattedMessages[0];
+    const last = formattedMessages[formattedMessages.length - 1];
+
+    res.json({
+      success: true,
+      messages: formattedMessages,
+      pagination: {
+        limit,
+        hasMore,
+        direction,
+        // Pass as ?before= to load older messages, or ?after= for newer ones
+        beforeCursor: first ? first.id : null,
+        afterCursor: last ? last.id : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+// List the current user's conversations with the latest message per partner
+router.get('/conversations', authenticateToken, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(
+      Number.isNaN(requestedLimit) || requestedLimit < 1 ? DEFAULT_PAGE_SIZE : requestedLimit,
+      MAX_PAGE_SIZE
+    );
+
+    const conversations = await Message.aggregate([
+      { $match: { $or: [{ sender: userId }, { recipient: userId }] } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$sender', userId] }, '$recipient', '$sender'] },
+          lastMessage: { $first: '$$ROOT' },
+          unreadCount: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$recipient', userId] }, { $eq: ['$read', false] }] }, 1, 0]
+            }
+          }
+        }
+      },
+      { $sort: { 'lastMessage.createdAt': -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          let: { partnerId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$partnerId'] } } },
+            // What formatPartner needs, including the privacy settings it applies
+            { $project: { username: 1, avatar: 1, userType: 1, isOnline: 1, lastSeen: 1, presence: 1, privacy: 1, friends: 1 } }
+          ],
+          as: 'partner'
+        }
+      },
+      { $unwind: { path: '$partner', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => ({
+        userId: conversation._id.toString(),
+        user: conversation.partner ? formatPartner(User.hydrate(conversation.partner), req.user.id) : null,
+        lastMessage: formatMessage(conversation.lastMessage, req.user.id),
+        unreadCount: conversation.unreadCount
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+// Get unread message counts for the current user, grouped by sender
+router.get('/unread-counts', authenticateToken, async (req, res) => {
+  try {
+    const counts = await Message.unreadCountsFor(req.user.id);
+    const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+
+    res.json({
+      success: true,
+      total,
+      counts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching unread counts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unread counts'
+    });
+  }
+});
+
+// Mark a conversation as read up to a given message
+router.post('/read', authenticateToken, async (req, res) => {
+  try {
+    const { otherUserId, upToMessageId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid otherUserId is required'
+      });
+    }
+
+    if (upToMessageId && !mongoose.Types.ObjectId.isValid(upToMessageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upToMessageId'
+      });
+    }
+
+    const result = await Message.markConversationRead(req.user.id, otherUserId, upToMessageId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found in this conversation'
+      });
+    }
+
+    // REAL-TIME RECEIPT: tell the sender their messages were read
+    if (result.messageIds.length > 0) {
+      notificationService.notifyUser(otherUserId, 'message_read', {
+        readerId: req.user.id,
+        upToMessageId: upToMessageId || result.messageIds[result.messageIds.length - 1],
+        messageIds: result.messageIds,
+        readAt: result.readAt.toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      markedCount: result.messageIds.length,
+      messageIds: result.messageIds,
+      readAt: result.readAt
+    });
+  } catch (error) {
+    console.error('❌ Error marking messages read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark messages as read'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
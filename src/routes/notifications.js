@@ -0,0 +1,163 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { DIGEST_CATEGORIES } from '../models/User.js';
+import notificationService from '../services/notificationService.js';
+import digestService from '../services/digestService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { parsePagination } from '../utils/pagination.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const UNSUBSCRIBE_LABELS = {
+  friendRequests: 'friend request',
+  missedCalls: 'missed call',
+  unreadMessages: 'unread message',
+  all: 'digest'
+};
+
+// Minimal page for unsubscribe links opened from an email
+const unsubscribePage = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; color: #333;">
+  <h2>${title}</h2>
+  ${body}
+</body>
+</html>`;
+
+// Check the signed user/category pair from an unsubscribe link
+const readUnsubscribeLink = (req) => {
+  const { user, category, sig } = req.query;
+  const valid = mongoose.Types.ObjectId.isValid(user)
+    && (DIGEST_CATEGORIES.includes(category) || category === 'all')
+    && digestService.verifyUnsubscribe(user, category, sig);
+
+  return valid ? { userId: user, category } : null;
+};
+
+// Unsubscribe links in digest emails work without logging in. Opening the link
+// asks for confirmation so link scanners don't unsubscribe people by accident.
+router.get('/unsubscribe', (req, res) => {
+  const link = readUnsubscribeLink(req);
+  if (!link) {
+    return res.status(400).send(unsubscribePage('Invalid link', '<p>This unsubscribe link is invalid or incomplete.</p>'));
+  }
+
+  const label = UNSUBSCRIBE_LABELS[link.category];
+  res.send(unsubscribePage('Unsubscribe', `
+  <p>Stop receiving ${label} emails from SignLink?</p>
+  <form method="POST">
+    <button type="submit">Unsubscribe</button>
+  </form>`));
+});
+
+// Confirmation form and one-click unsubscribe (List-Unsubscribe-Post) both land here
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const link = readUnsubscribeLink(req);
+    if (!link) {
+      return res.status(400).send(unsubscribePage('Invalid link', '<p>This unsubscribe link is invalid or incomplete.</p>'));
+    }
+
+    const found = await digestService.unsubscribe(link.userId, link.category);
+    if (!found) {
+      return res.status(404).send(unsubscribePage('Account not found', '<p>This account no longer exists.</p>'));
+    }
+
+    console.log(`📭 User ${link.userId} unsubscribed from ${link.category} digests`);
+    res.send(unsubscribePage('Unsubscribed', `<p>You won't receive ${UNSUBSCRIBE_LABELS[link.category]} emails anymore. You can turn them back on in your settings.</p>`));
+  } catch (error) {
+    console.error('❌ Error unsubscribing:', error);
+    res.status(500).send(unsubscribePage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+router.use(authenticateToken);
+
+// Get the current user's notifications, newest first. ?unread=true for unread only
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const filter = { recipient: userId };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'username avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      notificationService.unreadCount(userId)
+    ]);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => notificationService.formatNotification(notification)),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + notifications.length < total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// Mark every notification read
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await notificationService.markRead(req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// Mark one notification read
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification ID'
+      });
+    }
+
+    const exists = await Notification.exists({ _id: req.params.id, recipient: req.user.id });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    const result = await notificationService.markRead(req.user.id, [req.params.id]);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,209 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Room, { ROOM_ACCESS_MODES } from '../models/Room.js';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import notificationService from '../services/notificationService.js';
+import roomService from '../services/roomService.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Shape a room for API responses
+const formatRoom = async (room) => ({
+  roomId: room.roomId,
+  hostId: (room.host._id || room.host).toString(),
+  accessMode: room.accessMode,
+  invitees: room.invitees.map(id => id.toString()),
+  participants: await roomService.roomParticipants(room.roomId),
+  active: !room.endedAt,
+  createdAt: room.createdAt,
+  endedAt: room.endedAt
+});
+
+// Keep only existing users who haven't blocked (or been blocked by) the host
+const filterInvitees = async (hostId, userIds) => {
+  const ids = [...new Set(userIds.map(String))]
+    .filter(id => id !== hostId && mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return [];
+
+  const [host, users] = await Promise.all([
+    User.findById(hostId).select('blockedUsers'),
+    User.find({ _id: { $in: ids }, blockedUsers: { $ne: hostId } }).select('_id')
+  ]);
+
+  const blocked = new Set((host?.blockedUsers || []).map(id => id.toString()));
+  return users.map(user => user._id.toString()).filter(id => !blocked.has(id));
+};
+
+// Ring invited users who are online and leave the invitation in their inbox
+const sendInvitations = async (req, room, userIds) => {
+  for (const userId of userIds) {
+    notificationService.notifyUser(userId, 'room_invitation', {
+      roomId: room.roomId,
+      hostId: req.user.id,
+      hostUsername: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+    await notificationService.record(userId, 'room_invitation', {
+      actorId: req.user.id,
+      data: { roomId: room.roomId }
+    });
+  }
+};
+
+// Create a group call room
+router.post('/', async (req, res) => {
+  try {
+    const { accessMode = 'friends', invitees = [] } = req.body;
+
+    if (!ROOM_ACCESS_MODES.includes(accessMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Access mode must be one of: ${ROOM_ACCESS_MODES.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(invitees)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitees must be a list of user IDs'
+      });
+    }
+
+    const inviteeIds = await filterInvitees(req.user.id, invitees);
+
+    const room = await Room.create({
+      host: req.user.id,
+      accessMode,
+      invitees: inviteeIds
+    });
+
+    await sendInvitations(req, room, inviteeIds);
+
+    console.log(`🏠 Room ${room.roomId} created by ${req.user.id} (${accessMode}, ${inviteeIds.length} invited)`);
+
+    res.status(201).json({
+      success: true,
+      room: await formatRoom(room)
+    });
+  } catch (error) {
+    console.error('❌ Error creating room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create room'
+    });
+  }
+});
+
+// Get a room the current user is allowed to join
+router.get('/:roomId', async (req, res) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId }).populate('host', 'friends');
+
+    if (!room || !room.allows(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      room: await formatRoom(room)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch room'
+    });
+  }
+});
+
+// Invite more users to a room (host only)
+router.post('/:roomId/invite', async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'User IDs are required'
+      });
+    }
+
+    const room = await Room.findOne({ roomId: req.params.roomId, endedAt: null });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    if (room.host.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the host can invite people to this room'
+      });
+    }
+
+    const inviteeIds = await filterInvitees(req.user.id, userIds);
+    room.invitees.addToSet(...inviteeIds);
+    await room.save();
+
+    await sendInvitations(req, room, inviteeIds);
+
+    res.json({
+      success: true,
+      invited: inviteeIds,
+      room: await formatRoom(room)
+    });
+  } catch (error) {
+    console.error('❌ Error inviting to room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite users'
+    });
+  }
+});
+
+// End a room for everyone (host only)
+router.post('/:roomId/end', async (req, res) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId, endedAt: null });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    if (room.host.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the host can end this room'
+      });
+    }
+
+    room.endedAt = new Date();
+    await room.save();
+
+    roomService.endRoom(room.roomId);
+
+    res.json({
+      success: true,
+      message: 'Room ended',
+      room: await formatRoom(room)
+    });
+  } catch (error) {
+    console.error('❌ Error ending room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end room'
+    });
+  }
+});
+
+export default router;
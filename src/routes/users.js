@@ -1,9 +1,35 @@
 ﻿import express from "express";
+import mongoose from "mongoose";
 import fs from 'fs';
 import path from 'path';
 import multer from 'multer';
 import { authenticateToken } from '../middleware/auth.js';
-import User from "../models/User.js";
+import User, {
+  SIGN_LANGUAGES,
+  CAPTION_FONT_SIZES,
+  COMMUNICATION_MODES,
+  DISCOVERABILITY_OPTIONS,
+  VISIBILITY_OPTIONS,
+  EMAIL_LOCALES,
+  DIGEST_FREQUENCIES,
+  DIGEST_CATEGORIES
+} from "../models/User.js";
+import FriendRequest from "../models/FriendRequest.js";
+import Message from "../models/Message.js";
+import Call from "../models/Call.js";
+import Caption from "../models/Caption.js";
+import Notification from "../models/Notification.js";
+import EmailJob from "../models/EmailJob.js";
+import Room from "../models/Room.js";
+import InterpreterRequest from "../models/InterpreterRequest.js";
+import Session from "../models/Session.js";
+import Report, { REPORT_REASONS } from "../models/Report.js";
+import emailService from "../services/emailService.js";
+import sessionService from "../services/sessionService.js";
+import notificationService from "../services/notificationService.js";
+import presenceService from "../services/presenceService.js";
+import roomService from "../services/roomService.js";
+import { parsePagination } from "../utils/pagination.js";
 
 const router = express.Router();
 
@@ -41,33 +67,88 @@ const upload = multer({
   }
 });
 
+// Escape user input before using it inside a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shape a user for a given viewer, hiding email / last seen per their privacy settings
+const presentUser = (req, user, viewerId) => {
+  const showLastSeen = user.isVisibleTo('lastSeenVisibility', viewerId);
+  const presence = user.presenceSummary();
+
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.isVisibleTo('emailVisibility', viewerId) ? user.email : null,
+    userType: user.userType,
+    avatar: makeAbsoluteAvatar(req, user.avatar),
+    isOnline: showLastSeen ? presence.isOnline : null,
+    status: showLastSeen ? presence.status : null,
+    statusText: showLastSeen ? presence.statusText : null,
+    lastSeen: showLastSeen ? user.lastSeen : null
+  };
+};
+
+// Mongo filter for users the viewer is allowed to find
+const discoverableBy = (viewer) => {
+  const circle = [viewer._id, ...viewer.friends];
+
+  return {
+    _id: { $nin: [viewer._id, ...viewer.blockedUsers] },
+    blockedUsers: { $ne: viewer._id },
+    $or: [
+      // Documents created before privacy settings existed default to "everyone"
+      { 'privacy.discoverability': { $nin: ['friends_of_friends', 'nobody'] } },
+      { 'privacy.discoverability': 'friends_of_friends', friends: { $in: circle } }
+    ]
+  };
+};
+
+const MIN_SEARCH_LENGTH = 2;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const PUBLIC_FIELDS = "username email userType avatar isOnline lastSeen presence privacy friends";
+
 // Search users
-router.get("/search", async (req, res) => {
+router.get("/search", authenticateToken, async (req, res) => {
   try {
-    const { q } = req.query;
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
 
-    if (!q || q.trim() === "") {
+    if (q.length < MIN_SEARCH_LENGTH) {
       return res.status(400).json({
         success: false,
-        error: "Search query is required"
+        error: `Search query must be at least ${MIN_SEARCH_LENGTH} characters`
+      });
+    }
+
+    const viewer = await User.findById(req.user.id).select("friends blockedUsers");
+    if (!viewer) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
       });
     }
 
-    const users = await User.find({
-      username: { $regex: q, $options: "i" }
-    }).select("username email userType avatar isOnline lastSeen");
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+    const filter = {
+      ...discoverableBy(viewer),
+      username: { $regex: escapeRegex(q), $options: "i" }
+    };
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(PUBLIC_FIELDS).sort({ username: 1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      users: users.map(user => ({
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        userType: user.userType,
-        avatar: makeAbsoluteAvatar(req, user.avatar),
-        isOnline: user.isOnline,
-        lastSeen: user.lastSeen
-      }))
+      users: users.map(user => presentUser(req, user, req.user.id)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + users.length < total
+      }
     });
 
   } catch (error) {
@@ -80,7 +161,7 @@ router.get("/search", async (req, res) => {
 });
 
 // Get user profile
-router.get("/:id", async (req, res) => {
+router.get("/:id", authenticateToken, async (req, res) => {
   try {
   const user = await User.findById(req.params.id).select("-password");
 
@@ -91,17 +172,21 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    const isSelf = user._id.toString() === req.user.id;
+
     res.json({
       success: true,
       user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        userType: user.userType,
-        avatar: makeAbsoluteAvatar(req, user.avatar),
-        isOnline: user.isOnline,
-        lastSeen: user.lastSeen,
+        ...presentUser(req, user, req.user.id),
+        displayName: user.displayName,
         bio: user.bio,
+        preferences: user.preferences,
+        // Only the owner sees their own privacy settings, chosen status and email settings
+        ...(isSelf && {
+          privacy: user.privacy,
+          presence: { status: user.presence.status, statusText: user.presence.statusText },
+          emailNotifications: formatEmailNotifications(user)
+        }),
         createdAt: user.createdAt
       }
     });
@@ -116,21 +201,33 @@ router.get("/:id", async (req, res) => {
 });
 
 // Get all users (for testing)
-router.get("/", async (req, res) => {
+router.get("/", authenticateToken, async (req, res) => {
   try {
-    const users = await User.find().select("username email userType avatar isOnline lastSeen");
+    const viewer = await User.findById(req.user.id).select("friends blockedUsers");
+    if (!viewer) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+    const filter = discoverableBy(viewer);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(PUBLIC_FIELDS).sort({ username: 1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      users: users.map(user => ({
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        userType: user.userType,
-        avatar: makeAbsoluteAvatar(req, user.avatar),
-        isOnline: user.isOnline,
-        lastSeen: user.lastSeen
-      }))
+      users: users.map(user => presentUser(req, user, req.user.id)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + users.length < total
+      }
     });
   } catch (error) {
     console.error("Get users error:", error);
@@ -141,7 +238,261 @@ router.get("/", async (req, res) => {
   }
 });
 
-export default router;
+// Report a user to moderators
+router.post("/:id/report", authenticateToken, async (req, res) => {
+  try {
+    const { reason, details, callId, messageId } = req.body;
+    const reportedUserId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(reportedUserId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID"
+      });
+    }
+
+    if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid message ID"
+      });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    if (details !== undefined && (typeof details !== "string" || details.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: "Details must be text of at most 1000 characters"
+      });
+    }
+
+    if (reportedUserId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot report yourself"
+      });
+    }
+
+    const reportedUser = await User.exists({ _id: reportedUserId });
+    if (!reportedUser) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user.id,
+      reportedUser: reportedUserId,
+      reason,
+      details: details || "",
+      context: {
+        callId: callId || null,
+        messageId: messageId || null
+      }
+    });
+
+    console.log(`🚩 User ${reportedUserId} reported by ${req.user.id} for ${reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Report submitted. Our moderators will review it.",
+      report: {
+        id: report._id,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error("Report user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to submit report"
+    });
+  }
+});
+
+// Allowed values for each settings group accepted by PUT /me
+const SETTINGS_OPTIONS = {
+  preferences: {
+    signLanguage: SIGN_LANGUAGES,
+    captionFontSize: CAPTION_FONT_SIZES,
+    preferredMode: COMMUNICATION_MODES,
+    locale: EMAIL_LOCALES
+  },
+  privacy: {
+    discoverability: DISCOVERABILITY_OPTIONS,
+    emailVisibility: VISIBILITY_OPTIONS,
+    lastSeenVisibility: VISIBILITY_OPTIONS
+  }
+};
+
+// Update current user's profile: display name, bio, accessibility preferences and privacy
+router.put('/me', authenticateToken, async (req, res) => {
+  try {
+    const { displayName, bio } = req.body;
+    const updates = {};
+
+    if (displayName !== undefined) {
+      if (typeof displayName !== 'string' || displayName.trim().length > 50) {
+        return res.status(400).json({ success: false, error: 'Display name must be text of at most 50 characters' });
+      }
+      updates.displayName = displayName.trim();
+    }
+
+    if (bio !== undefined) {
+      if (typeof bio !== 'string' || bio.length > 150) {
+        return res.status(400).json({ success: false, error: 'Bio must be text of at most 150 characters' });
+      }
+      updates.bio = bio;
+    }
+
+    for (const [group, allowed] of Object.entries(SETTINGS_OPTIONS)) {
+      const settings = req.body[group];
+      if (settings === undefined) continue;
+
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return res.status(400).json({ success: false, error: `${group} must be an object` });
+      }
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (!allowed[key]) {
+          return res.status(400).json({ success: false, error: `Unknown ${group} setting: ${key}` });
+        }
+        if (!allowed[key].includes(value)) {
+          return res.status(400).json({
+            success: false,
+            error: `${key} must be one of: ${allowed[key].join(', ')}`
+          });
+        }
+        updates[`${group}.${key}`] = value;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No profile fields to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true }).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const profile = {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      userType: user.userType,
+      avatar: makeAbsoluteAvatar(req, user.avatar),
+      isOnline: user.isOnline,
+      lastSeen: user.lastSeen,
+      displayName: user.displayName,
+      bio: user.bio,
+      preferences: user.preferences,
+      privacy: user.privacy,
+      createdAt: user.createdAt
+    };
+
+    // REAL-TIME UPDATE: push the new profile to friends who are online
+    notificationService.notifyUsers(user.friends, 'profile_updated', {
+      userId: user._id.toString(),
+      username: user.username,
+      displayName: user.displayName,
+      bio: user.bio,
+      preferences: user.preferences,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ success: true, message: 'Profile updated', user: profile });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update profile' });
+  }
+});
+
+// Set the current user's status (available, busy, away, dnd, invisible) and/or status text
+router.put('/me/status', authenticateToken, async (req, res) => {
+  try {
+    const result = await presenceService.setUserStatus(req.user.id, {
+      status: req.body.status,
+      statusText: req.body.statusText
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: 'Status updated', presence: result.presence });
+  } catch (error) {
+    console.error('Status update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update status' });
+  }
+});
+
+// Email digest settings as shown to their owner
+const formatEmailNotifications = (user) => {
+  const settings = { frequency: user.emailNotifications.frequency };
+  for (const category of DIGEST_CATEGORIES) {
+    settings[category] = user.emailNotifications[category];
+  }
+  return settings;
+};
+
+// Set how often offline activity is emailed (off, immediate, hourly, daily) and which categories
+router.put('/me/email-notifications', authenticateToken, async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (key === 'frequency') {
+        if (!DIGEST_FREQUENCIES.includes(value)) {
+          return res.status(400).json({
+            success: false,
+            error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`
+          });
+        }
+      } else if (DIGEST_CATEGORIES.includes(key)) {
+        if (typeof value !== 'boolean') {
+          return res.status(400).json({ success: false, error: `${key} must be true or false` });
+        }
+      } else {
+        return res.status(400).json({ success: false, error: `Unknown email notification setting: ${key}` });
+      }
+      updates[`emailNotifications.${key}`] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No email notification settings to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true })
+      .select('emailNotifications isEmailVerified');
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: user.isEmailVerified || user.emailNotifications.frequency === 'off'
+        ? 'Email notification settings updated'
+        : 'Email notification settings updated. Digests are sent once your email is verified.',
+      emailNotifications: formatEmailNotifications(user)
+    });
+  } catch (error) {
+    console.error('Email notification settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update email notification settings' });
+  }
+});
 
 // Upload avatar for current user
 router.post('/me/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
@@ -175,4 +526,176 @@ router.post('/me/avatar', authenticateToken, upload.single('avatar'), async (req
     console.error('Avatar upload error:', error);
     res.status(500).json({ success: false, error: 'Failed to upload avatar' });
   }
-});
\ No newline at end of file
+});
+
+// Change password for current user (signs out every other device)
+router.put('/me/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ success: false, error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword; // Will be automatically hashed by the User model
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, { exceptSessionId: req.user.sessionId });
+    sessionService.disconnectSockets(req.app.get('io'), {
+      userId: req.user.id,
+      exceptSessionId: req.user.sessionId
+    });
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change password' });
+  }
+});
+
+// Change email for current user; the new address must be verified before it takes effect
+router.put('/me/email', authenticateToken, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({ success: false, error: 'New email and password are required' });
+    }
+
+    const normalizedEmail = newEmail.toLowerCase().trim();
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ success: false, error: 'This is already your email address' });
+    }
+
+    const emailTaken = await User.exists({ email: normalizedEmail });
+    if (emailTaken) {
+      return res.status(400).json({ success: false, error: 'This email address is already in use' });
+    }
+
+    const verificationToken = emailService.generateVerificationToken();
+    user.pendingEmail = normalizedEmail;
+    user.emailVerificationToken = verificationToken;
+    user.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    await user.save();
+
+    try {
+      await emailService.sendVerificationEmail(normalizedEmail, user.username, verificationToken, user.preferences.locale);
+    } catch (emailError) {
+      console.error('Email change verification failed:', emailError);
+      user.pendingEmail = null;
+      user.emailVerificationToken = null;
+      user.emailVerificationExpires = null;
+      await user.save();
+      return res.status(500).json({ success: false, error: 'Failed to send verification email. Please check the address and try again.' });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${normalizedEmail}. Your email will change once it is verified.`,
+      pendingEmail: normalizedEmail
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change email' });
+  }
+});
+
+// Delete current user's account and everything that references it
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Password is required to delete your account' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    const userId = user._id;
+
+    await FriendRequest.deleteMany({ $or: [{ fromUser: userId }, { toUser: userId }] });
+    await User.updateMany(
+      { $or: [{ friends: userId }, { blockedUsers: userId }] },
+      { $pull: { friends: userId, blockedUsers: userId } }
+    );
+    // Conversations can't be shown without both participants, so remove them entirely
+    const { deletedCount: deletedMessages } = await Message.deleteMany({
+      $or: [{ sender: userId }, { recipient: userId }]
+    });
+
+    const callFilter = { $or: [{ caller: userId }, { callee: userId }] };
+    const callIds = await Call.find(callFilter).distinct('_id');
+    await Caption.deleteMany({ call: { $in: callIds } });
+    await Call.deleteMany(callFilter);
+    await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] });
+
+    // End the user's live group calls before removing their rooms
+    const activeRooms = await Room.find({ host: userId, endedAt: null }).select('roomId');
+    for (const room of activeRooms) {
+      roomService.endRoom(room.roomId);
+    }
+    await Room.deleteMany({ host: userId });
+    await Room.updateMany({ invitees: userId }, { $pull: { invitees: userId } });
+
+    // Requests they made go; requests they interpreted stay for the requester, without them
+    await InterpreterRequest.deleteMany({ requester: userId });
+    await InterpreterRequest.updateMany({ interpreter: userId }, { $set: { interpreter: null } });
+    await Report.deleteMany({ $or: [{ reporter: userId }, { reportedUser: userId }] });
+    // Don't send queued emails to an account that no longer exists
+    await EmailJob.deleteMany({ to: { $in: [user.email, user.pendingEmail].filter(Boolean) }, status: { $ne: 'sent' } });
+
+    // Avatar files are named `${userId}-${timestamp}.ext` by the upload handler
+    const avatarFiles = fs.readdirSync(avatarsDir).filter(name => name.startsWith(`${userId}-`));
+    for (const name of avatarFiles) {
+      fs.rmSync(path.join(avatarsDir, name), { force: true });
+    }
+
+    // Deleting the sessions also invalidates every access token bound to them
+    await Session.deleteMany({ user: userId });
+    sessionService.disconnectSockets(req.app.get('io'), { userId: userId.toString() });
+
+    await User.findByIdAndDelete(userId);
+
+    console.log(`🗑️  Deleted account ${user.username}: ${deletedMessages} messages, ${avatarFiles.length} avatar files`);
+
+    res.json({ success: true, message: 'Account deleted' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete account' });
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import Call, { MISSED_OUTCOMES } from '../models/Call.js';
+
+class CallService {
+  /**
+   * Generate a call id. Ids are always made on the server so a client can't
+   * reuse another call's id to read or change it.
+   */
+  generateCallId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Record a new call under a server-generated callId. Anything other than a
+   * ringing call (callee offline or busy) is closed immediately.
+   */
+  async startCall({ callId, roomId, callerId, calleeId, outcome = 'ringing' }) {
+    const now = new Date();
+
+    return Call.create({
+      callId: callId || this.generateCallId(),
+      roomId: roomId || null,
+      caller: callerId,
+      callee: calleeId,
+      outcome,
+      startedAt: now,
+      endedAt: outcome === 'ringing' ? null : now
+    });
+  }
+
+  /**
+   * Mark a ringing call as answered by its callee
+   */
+  async answerCall(callId, calleeId) {
+    return Call.findOneAndUpdate(
+      { callId, callee: calleeId, outcome: 'ringing' },
+      { $set: { outcome: 'answered', answeredAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a ringing call as rejected by its callee
+   */
+  async rejectCall(callId, calleeId) {
+    return Call.findOneAndUpdate(
+      { callId, callee: calleeId, outcome: 'ringing' },
+      { $set: { outcome: 'rejected', endedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Close a call: a call still ringing becomes missed, an answered one gets its duration
+   */
+  async finishCall(call) {
+    const now = new Date();
+    call.endedAt = now;
+
+    if (call.outcome === 'ringing') {
+      call.outcome = 'missed';
+    } else if (call.outcome === 'answered' && call.answeredAt) {
+      call.duration = Math.round((now - call.answeredAt) / 1000);
+    }
+
+    await call.save();
+    return call;
+  }
+
+  /**
+   * End a call that userId is part of. Returns null if there is no open call.
+   */
+  async endCall(callId, userId) {
+    const call = await Call.findOne({
+      callId,
+      endedAt: null,
+      $or: [{ caller: userId }, { callee: userId }]
+    });
+
+    return call ? this.finishCall(call) : null;
+  }
+
+  /**
+   * End every open call involving userId, e.g. when they disconnect
+   */
+  async endActiveCallsFor(userId) {
+    const calls = await Call.find({
+      endedAt: null,
+      $or: [{ caller: userId }, { callee: userId }]
+    });
+
+    return Promise.all(calls.map(call => this.finishCall(call)));
+  }
+
+  /**
+   * Return missed/offline calls the callee hasn't been told about yet, and mark them told
+   */
+  async takeUnnotifiedMissedCalls(calleeId) {
+    const calls = await Call.find({
+      callee: calleeId,
+      outcome: { $in: MISSED_OUTCOMES },
+      missedNotified: false
+    })
+    .populate('caller', 'username avatar')
+    .sort({ startedAt: 1 });
+
+    if (calls.length > 0) {
+      await Call.updateMany(
+        { _id: { $in: calls.map(call => call._id) } },
+        { $set: { missedNotified: true } }
+      );
+    }
+
+    return calls;
+  }
+
+  /**
+   * Mark a single missed call as already delivered to the callee
+   */
+  async markMissedNotified(call) {
+    await Call.updateOne({ _id: call._id }, { $set: { missedNotified: true } });
+  }
+
+  /**
+   * Shape a call (caller populated) for the missed-call notification
+   */
+  formatMissedCall(call, callerUsername) {
+    return {
+      callId: call.callId,
+      roomId: call.roomId,
+      callerId: (call.caller._id || call.caller).toString(),
+      callerUsername: callerUsername || call.caller.username,
+      outcome: call.outcome,
+      startedAt: call.startedAt.toISOString()
+    };
+  }
+
+  /**
+   * Shape a call (caller and callee populated) for the history of viewerId
+   */
+  formatCall(call, viewerId) {
+    // A populated side is null when that user has since deleted their account
+    const isOutgoing = call.caller?._id.toString() === viewerId;
+    const other = isOutgoing ? call.callee : call.caller;
+
+    return {
+      id: call._id,
+      callId: call.callId,
+      roomId: call.roomId,
+      direction: isOutgoing ? 'outgoing' : 'incoming',
+      otherUser: other ? {
+        id: other._id,
+        username: other.username,
+        avatar: other.avatar
+      } : null,
+      outcome: call.outcome,
+      startedAt: call.startedAt,
+      answeredAt: call.answeredAt,
+      endedAt: call.endedAt,
+      duration: call.duration
+    };
+  }
+}
+
+export default new CallService();
@@ -0,0 +1,156 @@
+import fs from 'fs';
+
+/**
+ * Translation provider contract. To plug in a real MT engine, register an
+ * object of this shape with captionTranslator.registerProvider():
+ *
+ *   {
+ *     name: 'my-engine',
+ *     // Resolve with the translated text. Throw on failure; the caption is
+ *     // then delivered untranslated.
+ *     async translate(text, { from, to }) { ... }
+ *   }
+ *
+ * `from` and `to` are lowercase language codes such as "en" or "es".
+ */
+
+/**
+ * Returns text unchanged. Useful for testing the pipeline end to end.
+ */
+export class IdentityProvider {
+  constructor() {
+    this.name = 'identity';
+  }
+
+  async translate(text) {
+    return text;
+  }
+}
+
+/**
+ * Word-by-word lookup in local dictionaries, keyed by "from:to" pair:
+ * { "en:es": { "hello": "hola" } }. Unknown words pass through unchanged.
+ */
+export class DictionaryProvider {
+  constructor(dictionaries = {}) {
+    this.name = 'dictionary';
+    this.dictionaries = dictionaries;
+  }
+
+  async translate(text, { from, to }) {
+    const dictionary = this.dictionaries[`${from}:${to}`];
+    if (!dictionary) {
+      throw new Error(`No dictionary for ${from} -> ${to}`);
+    }
+
+    return text.replace(/[\p{L}']+/gu, (word) => {
+      const translated = dictionary[word.toLowerCase()];
+      if (!translated) return word;
+      // Keep a leading capital, e.g. at the start of a sentence
+      return word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase()
+        ? translated[0].toUpperCase() + translated.slice(1)
+        : translated;
+    });
+  }
+}
+
+// Small sample so the dictionary provider works without any setup
+const SAMPLE_DICTIONARIES = {
+  'en:es': {
+    hello: 'hola', hi: 'hola', goodbye: 'adiós', bye: 'adiós', yes: 'sí', no: 'no',
+    please: 'por favor', thanks: 'gracias', thank: 'gracias', you: 'tú', how: 'cómo',
+    are: 'estás', good: 'bien', i: 'yo', am: 'estoy', friend: 'amigo', sorry: 'perdón'
+  },
+  'es:en': {
+    hola: 'hello', adiós: 'goodbye', sí: 'yes', no: 'no', gracias: 'thanks',
+    tú: 'you', cómo: 'how', estás: 'are', bien: 'good', yo: 'I', estoy: 'am', amigo: 'friend'
+  }
+};
+
+class CaptionTranslator {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new IdentityProvider());
+    this.registerProvider(new DictionaryProvider(this.loadDictionaries()));
+    this.activeProvider = process.env.CAPTION_TRANSLATOR || 'dictionary';
+  }
+
+  /**
+   * Load dictionaries from CAPTION_DICTIONARY_PATH (JSON) or fall back to the sample
+   */
+  loadDictionaries() {
+    const dictionaryPath = process.env.CAPTION_DICTIONARY_PATH;
+    if (!dictionaryPath) return SAMPLE_DICTIONARIES;
+
+    try {
+      return JSON.parse(fs.readFileSync(dictionaryPath, 'utf8'));
+    } catch (error) {
+      console.error('❌ Failed to load caption dictionary:', error.message);
+      return SAMPLE_DICTIONARIES;
+    }
+  }
+
+  /**
+   * Add or replace a provider (see the contract at the top of this file)
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.translate !== 'function') {
+      throw new Error('Translation providers need a name and a translate(text, { from, to }) method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Choose which registered provider translates captions
+   */
+  useProvider(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown translation provider: ${name}`);
+    }
+    this.activeProvider = name;
+  }
+
+  /**
+   * Normalize a language code ("en-US" -> "en"); null if missing
+   */
+  normalizeLanguage(language) {
+    if (typeof language !== 'string' || !language.trim()) return null;
+    return language.trim().toLowerCase().split(/[-_]/)[0];
+  }
+
+  /**
+   * Translate a caption for one recipient. Returns a new caption object;
+   * on failure the original text is kept and `translationError` is set.
+   */
+  async translateCaption(caption, { from, to }) {
+    const source = this.normalizeLanguage(from);
+    const target = this.normalizeLanguage(to);
+
+    if (!caption || typeof caption.text !== 'string' || !target || !source || source === target) {
+      return caption;
+    }
+
+    const provider = this.providers.get(this.activeProvider);
+
+    try {
+      const text = await provider.translate(caption.text, { from: source, to: target });
+      return {
+        ...caption,
+        text,
+        originalText: caption.text,
+        language: target,
+        originalLanguage: source,
+        translatedBy: provider.name
+      };
+    } catch (error) {
+      console.log(`⚠️ Caption translation failed (${provider?.name}):`, error.message);
+      return {
+        ...caption,
+        language: source,
+        translationError: 'Translation unavailable'
+      };
+    }
+  }
+}
+
+export default new CaptionTranslator();
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import User, { DIGEST_CATEGORIES } from '../models/User.js';
+import FriendRequest from '../models/FriendRequest.js';
+import Call, { MISSED_OUTCOMES } from '../models/Call.js';
+import Message from '../models/Message.js';
+import emailService from './emailService.js';
+import sessionService from './sessionService.js';
+
+// Minimum time between two digests for each frequency
+const DIGEST_PERIODS_MS = {
+  immediate: 0,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Most items listed per category; the rest are only counted
+const MAX_ITEMS_PER_CATEGORY = 10;
+
+// Emails offline users a summary of what they missed (friend requests,
+// missed calls, unread messages). Every node runs the same check; a digest is
+// claimed by moving lastDigestAt forward atomically, so only one node sends it.
+class DigestService {
+  constructor() {
+    this.checkIntervalMs = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // UNSUBSCRIBE_SECRET, else JWT_SECRET (required at startup); no literal default
+  get unsubscribeSecret() {
+    return process.env.UNSUBSCRIBE_SECRET || sessionService.jwtSecret;
+  }
+
+  /**
+   * Start checking for due digests on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sendDueDigests(), this.checkIntervalMs);
+    this.timer.unref();
+    console.log(`📬 Email digests: checking every ${Math.round(this.checkIntervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send a digest to every offline user whose frequency says one is due
+   */
+  async sendDueDigests(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const dueByFrequency = Object.entries(DIGEST_PERIODS_MS).map(([frequency, period]) => ({
+        'emailNotifications.frequency': frequency,
+        $or: [
+          { 'emailNotifications.lastDigestAt': null },
+          { 'emailNotifications.lastDigestAt': { $lte: new Date(now.getTime() - period) } }
+        ]
+      }));
+
+      const users = await User.find({
+        isOnline: false,
+        isEmailVerified: true,
+        $or: dueByFrequency
+      }).select('username email lastSeen emailNotifications preferences.locale');
+
+      let sent = 0;
+      for (const user of users) {
+        if (await this.sendDigest(user, now)) sent++;
+      }
+
+      if (sent > 0) console.log(`📬 Sent ${sent} email digest(s)`);
+    } catch (error) {
+      console.error('❌ Error sending email digests:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Collect what the user missed and email it. Returns true if a digest was sent.
+   */
+  async sendDigest(user, now = new Date()) {
+    const previous = user.emailNotifications.lastDigestAt;
+    const since = new Date(Math.max(previous?.getTime() || 0, user.lastSeen?.getTime() || 0));
+
+    const digest = await this.collect(user, since);
+    if (!digest) return false;
+
+    // Claim this digest; another node may have sent it already
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, isOnline: false, 'emailNotifications.lastDigestAt': previous },
+      { $set: { 'emailNotifications.lastDigestAt': now } }
+    );
+    if (!claimed) return false;
+
+    try {
+      await emailService.sendDigestEmail(user.email, user.username, digest, this.unsubscribeLinks(user._id), user.preferences?.locale);
+      return true;
+    } catch (error) {
+      // Release the claim so the next check tries again
+      await User.updateOne(
+        { _id: user._id, 'emailNotifications.lastDigestAt': now },
+        { $set: { 'emailNotifications.lastDigestAt': previous } }
+      );
+      console.error(`❌ Failed to send digest to ${user._id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Everything in the user's enabled categories since the given time,
+   * or null when there's nothing to report
+   */
+  async collect(user, since) {
+    const prefs = user.emailNotifications;
+    const digest = {};
+
+    if (prefs.friendRequests) {
+      const filter = { toUser: user._id, status: 'pending', createdAt: { $gt: since } };
+      const [requests, total] = await Promise.all([
+        FriendRequest.find(filter)
+          .populate('fromUser', 'username')
+          .sort({ createdAt: -1 })
+          .limit(MAX_ITEMS_PER_CATEGORY),
+        FriendRequest.countDocuments(filter)
+      ]);
+
+      if (total > 0) {
+        digest.friendRequests = {
+          total,
+          more: total - requests.length,
+          items: requests.map(request => ({
+            username: request.fromUser?.username,
+            message: request.message,
+            at: request.createdAt
+          }))
+        };
+      }
+    }
+
+    if (prefs.missedCalls) {
+      const filter = { callee: user._id, outcome: { $in: MISSED_OUTCOMES }, startedAt: { $gt: since } };
+      const [calls, total] = await Promise.all([
+        Call.find(filter)
+          .populate('caller', 'username')
+          .sort({ startedAt: -1 })
+          .limit(MAX_ITEMS_PER_CATEGORY),
+        Call.countDocuments(filter)
+      ]);
+
+      if (total > 0) {
+        digest.missedCalls = {
+          total,
+          more: total - calls.length,
+          items: calls.map(call => ({
+            username: call.caller?.username,
+            at: call.startedAt
+          }))
+        };
+      }
+    }
+
+    if (prefs.unreadMessages) {
+      const senders = await Message.aggregate([
+        { $match: { recipient: user._id, read: false, createdAt: { $gt: since } } },
+        { $group: { _id: '$sender', count: { $sum: 1 }, latestAt: { $max: '$createdAt' } } },
+        { $sort: { latestAt: -1 } }
+      ]);
+
+      if (senders.length > 0) {
+        const names = await User.find({ _id: { $in: senders.map(sender => sender._id) } }).select('username');
+        const usernames = new Map(names.map(sender => [sender._id.toString(), sender.username]));
+
+        digest.unreadMessages = {
+          total: senders.reduce((sum, sender) => sum + sender.count, 0),
+          more: Math.max(senders.length - MAX_ITEMS_PER_CATEGORY, 0),
+          items: senders.slice(0, MAX_ITEMS_PER_CATEGORY).map(sender => ({
+            username: usernames.get(sender._id.toString()),
+            count: sender.count,
+            at: sender.latestAt
+          }))
+        };
+      }
+    }
+
+    return Object.keys(digest).length > 0 ? digest : null;
+  }
+
+  /**
+   * Signature for an unsubscribe link, so it works without logging in
+   */
+  signUnsubscribe(userId, category) {
+    return crypto
+      .createHmac('sha256', this.unsubscribeSecret)
+      .update(`unsubscribe:${userId}:${category}`)
+      .digest('base64url');
+  }
+
+  verifyUnsubscribe(userId, category, signature) {
+    if (typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.signUnsubscribe(userId, category));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Signed unsubscribe URLs for each category and for all digests
+   */
+  unsubscribeLinks(userId) {
+    const base = `${process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`}/api/notifications/unsubscribe`;
+    const links = {};
+
+    for (const category of [...DIGEST_CATEGORIES, 'all']) {
+      const params = new URLSearchParams({
+        user: userId.toString(),
+        category,
+        sig: this.signUnsubscribe(userId.toString(), category)
+      });
+      links[category] = `${base}?${params}`;
+    }
+
+    return links;
+  }
+
+  /**
+   * Turn off one digest category, or every digest with "all"
+   */
+  async unsubscribe(userId, category) {
+    const update = category === 'all'
+      ? { 'emailNotifications.frequency': 'off' }
+      : { [`emailNotifications.${category}`]: false };
+
+    const result = await User.updateOne({ _id: userId }, { $set: update });
+    return result.matchedCount > 0;
+  }
+}
+
+export default new DigestService();
@@ -1,21 +1,72 @@
 import nodemailer from 'nodemailer';
 import crypto from 'crypto';
+import path from 'path';
+import EmailJob from '../models/EmailJob.js';
+import emailTemplates from './emailTemplates.js';
+import OutboxTransport from './outboxTransport.js';
+
+export const EMAIL_TRANSPORTS = ['smtp', 'sendmail', 'outbox', 'stream'];
+
+// Build the transport chosen by EMAIL_TRANSPORT:
+// - smtp (default): SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASSWORD
+// - sendmail: the local sendmail binary (SENDMAIL_PATH)
+// - outbox: writes each message to EMAIL_OUTBOX_DIR instead of sending it (dev, tests)
+// - stream: builds messages in memory without sending them (tests)
+const createTransport = (kind) => {
+  switch (kind) {
+    case 'sendmail':
+      return nodemailer.createTransport({
+        sendmail: true,
+        newline: 'unix',
+        path: process.env.SENDMAIL_PATH || 'sendmail'
+      });
+
+    case 'outbox':
+      return nodemailer.createTransport(new OutboxTransport({
+        dir: process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+      }));
+
+    case 'stream':
+      return nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix'
+      });
+
+    case 'smtp': {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port,
+        // Implicit TLS on 465; other ports upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        // Local SMTP stand-ins (MailHog, smtp4dev) often offer no usable TLS
+        ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    }
+
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${kind}". Use one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+  }
+};
 
 class EmailService {
   constructor() {
-    // Create transporter with SMTP configuration
-    this.transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASSWORD
-      },
-      tls: {
-        rejectUnauthorized: false
-      }
-    });
+    this.transportKind = process.env.EMAIL_TRANSPORT || 'smtp';
+    this.transporter = createTransport(this.transportKind);
+  }
+
+  get from() {
+    return process.env.EMAIL_FROM || `"SignLink" <${process.env.SMTP_USER || 'no-reply@localhost'}>`;
+  }
+
+  get appUrl() {
+    return process.env.FRONTEND_URL || 'http://localhost:5173';
   }
 
   /**
@@ -26,203 +77,115 @@ class EmailService {
   }
 
   /**
-   * Send verification email
+   * Save an email to the queue; the email worker sends it and retries on failure.
+   * Only fails if the job can't be stored.
+   */
+  async queue(template, to, data, { locale = null, headers = {} } = {}) {
+    return EmailJob.create({ template, to, data, locale, headers });
+  }
+
+  /**
+   * Render a template (HTML + plain text) in the recipient's locale and send it
+   * right away. Used by the email worker; everything else should queue.
+   */
+  async send(template, to, data, { locale = null, headers } = {}) {
+    const { subject, html, text } = emailTemplates.render(template, { appUrl: this.appUrl, ...data }, locale);
+
+    return this.transporter.sendMail({
+      from: this.from,
+      to,
+      subject,
+      html,
+      text,
+      headers
+    });
+  }
+
+  /**
+   * Queue verification email
    */
-  async sendVerificationEmail(email, username, verificationToken) {
+  async sendVerificationEmail(email, username, verificationToken, locale = null) {
     try {
-      const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
-      
-      const mailOptions = {
-        from: `"SignLink" <${process.env.SMTP_USER}>`,
-        to: email,
-        subject: 'Verify Your SignLink Account',
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <style>
-              body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                color: #333;
-              }
-              .container {
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-                background-color: #f9f9f9;
-              }
-              .header {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 30px;
-                text-align: center;
-                border-radius: 10px 10px 0 0;
-              }
-              .content {
-                background: white;
-                padding: 30px;
-                border-radius: 0 0 10px 10px;
-              }
-              .button {
-                display: inline-block;
-                padding: 15px 30px;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                text-decoration: none;
-                border-radius: 5px;
-                margin: 20px 0;
-                font-weight: bold;
-              }
-              .footer {
-                text-align: center;
-                margin-top: 20px;
-                color: #666;
-                font-size: 12px;
-              }
-              .token {
-                background: #f0f0f0;
-                padding: 10px;
-                border-radius: 5px;
-                font-family: monospace;
-                word-break: break-all;
-                margin: 10px 0;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <div class="header">
-                <h1>👋 Welcome to SignLink!</h1>
-              </div>
-              <div class="content">
-                <h2>Hello ${username}! 🎉</h2>
-                <p>Thank you for signing up for SignLink - connecting deaf and hearing communities through technology.</p>
-                <p>To complete your registration, please verify your email address by clicking the button below:</p>
-                
-                <center>
-                  <a href="${verificationUrl}" class="button">Verify Email Address</a>
-                </center>
-                
-                <p>Or copy and paste this link in your browser:</p>
-                <div class="token">${verificationUrl}</div>
-                
-                <p><strong>This verification link will expire in 24 hours.</strong></p>
-                
-                <p>If you didn't create an account with SignLink, please ignore this email.</p>
-                
-                <p>Best regards,<br>The SignLink Team</p>
-              </div>
-              <div class="footer">
-                <p>© ${new Date().getFullYear()} SignLink. All rights reserved.</p>
-                <p>This is an automated email. Please do not reply to this message.</p>
-              </div>
-            </div>
-          </body>
-          </html>
-        `
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Verification email sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const verificationUrl = `${this.appUrl}/verify-email?token=${verificationToken}`;
+
+      const job = await this.queue('verification', email, { username, verificationUrl }, { locale });
+      console.log('📨 Verification email queued:', job._id.toString());
+      return { success: true, jobId: job._id };
     } catch (error) {
-      console.error('❌ Error sending verification email:', error);
-      throw new Error(`Failed to send verification email: ${error.message}`);
+      console.error('❌ Error queueing verification email:', error);
+      throw new Error(`Failed to queue verification email: ${error.message}`);
     }
   }
 
   /**
-   * Send welcome email after successful verification
+   * Queue welcome email after successful verification
    */
-  async sendWelcomeEmail(email, username) {
+  async sendWelcomeEmail(email, username, locale = null) {
     try {
-      const mailOptions = {
-        from: `"SignLink" <${process.env.SMTP_USER}>`,
-        to: email,
-        subject: 'Welcome to SignLink! 🎉',
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <style>
-              body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                color: #333;
-              }
-              .container {
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-                background-color: #f9f9f9;
-              }
-              .header {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 30px;
-                text-align: center;
-                border-radius: 10px 10px 0 0;
-              }
-              .content {
-                background: white;
-                padding: 30px;
-                border-radius: 0 0 10px 10px;
-              }
-              .feature {
-                margin: 15px 0;
-                padding: 10px;
-                background: #f8f9fa;
-                border-left: 4px solid #667eea;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <div class="header">
-                <h1>✅ Email Verified!</h1>
-              </div>
-              <div class="content">
-                <h2>Welcome aboard, ${username}! 🚀</h2>
-                <p>Your email has been successfully verified. You can now enjoy all the features of SignLink:</p>
-                
-                <div class="feature">
-                  <strong>📹 Video Calls</strong> - Connect with friends through high-quality video calls
-                </div>
-                <div class="feature">
-                  <strong>🤟 Sign Language Detection</strong> - AI-powered ASL letter recognition
-                </div>
-                <div class="feature">
-                  <strong>💬 Real-time Captions</strong> - Automatic text-to-speech for accessibility
-                </div>
-                <div class="feature">
-                  <strong>👥 Connect & Chat</strong> - Build your network and communicate seamlessly
-                </div>
-                
-                <p>Start exploring SignLink now and connect with the community!</p>
-                
-                <p>If you have any questions or need help, feel free to reach out to our support team.</p>
-                
-                <p>Best regards,<br>The SignLink Team</p>
-              </div>
-            </div>
-          </body>
-          </html>
-        `
-      };
-
-      await this.transporter.sendMail(mailOptions);
-      console.log('✅ Welcome email sent to:', email);
+      await this.queue('welcome', email, { username }, { locale });
+      console.log('📨 Welcome email queued for:', email);
     } catch (error) {
-      console.error('❌ Error sending welcome email:', error);
+      console.error('❌ Error queueing welcome email:', error);
       // Don't throw error - welcome email is not critical
     }
   }
 
   /**
-   * Verify SMTP configuration
+   * Queue password reset email
+   */
+  async sendPasswordResetEmail(email, username, resetToken, locale = null) {
+    try {
+      const resetUrl = `${this.appUrl}/reset-password?token=${resetToken}`;
+
+      const job = await this.queue('password-reset', email, { username, resetUrl }, { locale });
+      console.log('📨 Password reset email queued:', job._id.toString());
+      return { success: true, jobId: job._id };
+    } catch (error) {
+      console.error('❌ Error queueing password reset email:', error);
+      throw new Error(`Failed to queue password reset email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a digest of what the user missed while offline. `digest` has an entry
+   * per category with { total, items, more }; `unsubscribeLinks` has a signed link per
+   * category plus "all".
+   */
+  async sendDigestEmail(email, username, digest, unsubscribeLinks, locale = null) {
+    try {
+      const data = { username, unsubscribeAllUrl: unsubscribeLinks.all };
+      for (const [category, section] of Object.entries(digest)) {
+        data[category] = {
+          ...section,
+          items: section.items.map(item => ({ ...item, single: item.count === 1 })),
+          unsubscribeUrl: unsubscribeLinks[category]
+        };
+      }
+
+      const job = await this.queue('digest', email, data, {
+        locale,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeLinks.all}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      console.log('📨 Digest email queued:', job._id.toString());
+      return { success: true, jobId: job._id };
+    } catch (error) {
+      console.error('❌ Error queueing digest email:', error);
+      throw new Error(`Failed to queue digest email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify the transport is ready (only SMTP has a server to check)
    */
   async verifyConnection() {
+    if (this.transportKind !== 'smtp') {
+      console.log(`✅ Email transport: ${this.transportKind}`);
+      return true;
+    }
+
     try {
       await this.transporter.verify();
       console.log('✅ SMTP server is ready to send emails');
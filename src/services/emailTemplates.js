@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+// {{{raw}}}, {{#section}}, {{^inverted}}, {{/section}} and {{escaped}}
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Parse a template into text and tag nodes, with sections nested
+const parse = (source, file) => {
+  const root = { children: [] };
+  const open = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const children = open[open.length - 1].children;
+    const [, rawName, kind, name] = match;
+    let start = match.index;
+    let end = match.index + match[0].length;
+
+    // A section tag alone on its line doesn't leave a blank line behind
+    if (kind) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= last && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > last) children.push(source.slice(last, start));
+    last = end;
+
+    if (rawName) {
+      children.push({ type: 'raw', name: rawName });
+    } else if (kind === '#' || kind === '^') {
+      const section = { type: kind === '#' ? 'section' : 'inverted', name, children: [] };
+      children.push(section);
+      open.push(section);
+    } else if (kind === '/') {
+      const section = open.pop();
+      if (section === root || section.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} in ${file}`);
+      }
+    } else {
+      children.push({ type: 'value', name });
+    }
+  }
+
+  if (open.length > 1) {
+    throw new Error(`Unclosed {{#${open[open.length - 1].name}}} in ${file}`);
+  }
+  if (last < source.length) root.children.push(source.slice(last));
+  return root.children;
+};
+
+// Find a (dotted) name in the innermost context that has it
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (typeof node === 'string') return node;
+
+  const value = lookup(contexts, node.name);
+
+  if (node.type === 'value') return value == null ? '' : escape(value);
+  if (node.type === 'raw') return value == null ? '' : String(value);
+  if (node.type === 'inverted') return isEmpty(value) ? renderNodes(node.children, contexts, escape) : '';
+
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }
+  return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+// Email templates live in src/templates/email/<locale>/<name>.{subject.txt,html,txt}
+// and use a small Mustache subset. HTML bodies are wrapped in layout.html.
+// A locale that lacks a file falls back to its base language ("es-MX" -> "es"),
+// then to the default locale.
+class EmailTemplates {
+  constructor() {
+    this.defaultLocale = process.env.EMAIL_DEFAULT_LOCALE || 'en';
+    this.cache = new Map();
+  }
+
+  /**
+   * Locales that have a template folder
+   */
+  locales() {
+    return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Template names available in the default locale
+   */
+  names() {
+    return fs.readdirSync(path.join(TEMPLATES_DIR, this.defaultLocale))
+      .filter(file => file.endsWith('.subject.txt'))
+      .map(file => file.slice(0, -'.subject.txt'.length));
+  }
+
+  /**
+   * Locales to try for a requested locale, most specific first. Only locales
+   * that have a template folder are returned, since they become file paths.
+   */
+  fallbacks(locale) {
+    const chain = [];
+    if (typeof locale === 'string' && locale) {
+      chain.push(locale);
+      const base = locale.split(/[-_]/)[0];
+      if (base !== locale) chain.push(base);
+    }
+    const known = this.locales();
+    return [...new Set([...chain.filter(candidate => known.includes(candidate)), this.defaultLocale])];
+  }
+
+  /**
+   * Parsed template file, or null if it doesn't exist.
+   * Cached in production; re-read elsewhere so template edits show up at once.
+   */
+  load(relativePath) {
+    const cacheable = process.env.NODE_ENV === 'production';
+    if (cacheable && this.cache.has(relativePath)) return this.cache.get(relativePath);
+
+    const file = path.join(TEMPLATES_DIR, relativePath);
+    const nodes = fs.existsSync(file) ? parse(fs.readFileSync(file, 'utf8'), relativePath) : null;
+
+    if (cacheable) this.cache.set(relativePath, nodes);
+    return nodes;
+  }
+
+  /**
+   * First locale variant of a template part that exists
+   */
+  resolve(name, extension, locale) {
+    for (const candidate of this.fallbacks(locale)) {
+      const nodes = this.load(path.join(candidate, `${name}.${extension}`));
+      if (nodes) return { nodes, locale: candidate };
+    }
+    return null;
+  }
+
+  /**
+   * Render a template to { subject, html, text, locale }
+   */
+  render(name, data = {}, locale = null) {
+    const subject = this.resolve(name, 'subject.txt', locale);
+    const html = this.resolve(name, 'html', locale);
+    const text = this.resolve(name, 'txt', locale);
+
+    if (!subject || !html) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const view = {
+      appName: 'SignLink',
+      year: new Date().getFullYear(),
+      locale: html.locale,
+      ...data
+    };
+
+    const content = renderNodes(html.nodes, [view], escapeHtml);
+    const layout = this.load('layout.html');
+
+    return {
+      subject: renderNodes(subject.nodes, [view], String).trim(),
+      html: layout ? renderNodes(layout, [{ ...view, content }], escapeHtml) : content,
+      text: text ? renderNodes(text.nodes, [view], String) : undefined,
+      locale: html.locale
+    };
+  }
+}
+
+export default new EmailTemplates();
@@ -0,0 +1,168 @@
+import os from 'os';
+import EmailJob, { EMAIL_JOB_STATUSES } from '../models/EmailJob.js';
+import emailService from './emailService.js';
+
+// A claimed job that hasn't finished in this long is assumed abandoned
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Sends queued emails (see EmailService.queue). Jobs are claimed atomically,
+// so any number of nodes can run a worker. Failed jobs are retried with
+// exponential backoff and dead-lettered after EMAIL_MAX_ATTEMPTS attempts.
+class EmailWorker {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.EMAIL_QUEUE_POLL_MS, 10) || 5000;
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseMs = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDueJobs(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`📨 Email worker ${this.workerId}: polling every ${Math.round(this.pollIntervalMs / 1000)}s, ${this.maxAttempts} attempts per email`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delay before the next attempt: base, 2x base, 4x base... capped at an hour
+   */
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Take the oldest due job (or one abandoned by a crashed worker)
+   */
+  async claimNext(now = new Date()) {
+    return EmailJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Send every due job, one at a time
+   */
+  async processDueJobs() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.deliver(job);
+      }
+    } catch (error) {
+      console.error('❌ Email worker error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send one claimed job and record the outcome
+   */
+  async deliver(job) {
+    // A job reclaimed from a crashed worker has already used up its attempts:
+    // the last one may have gone out, so don't send it again
+    if (job.attempts > this.maxAttempts) {
+      await EmailJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'dead',
+          deadAt: new Date(),
+          lockedAt: null,
+          lastError: 'Worker stopped while sending the last attempt'
+        }
+      });
+      console.error(`❌ Email job ${job._id} (${job.template}) dead: abandoned after ${this.maxAttempts} attempts`);
+      return;
+    }
+
+    try {
+      const info = await emailService.send(job.template, job.to, job.data, {
+        locale: job.locale,
+        headers: job.headers
+      });
+
+      await EmailJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          messageId: info.messageId,
+          lockedAt: null,
+          lastError: null,
+          data: {}
+        }
+      });
+      console.log(`✅ Email sent (${job.template}) to ${job.to}:`, info.messageId);
+    } catch (error) {
+      if (job.attempts >= this.maxAttempts) {
+        await EmailJob.updateOne({ _id: job._id }, {
+          $set: { status: 'dead', deadAt: new Date(), lockedAt: null, lastError: error.message }
+        });
+        console.error(`❌ Email job ${job._id} (${job.template}) dead after ${job.attempts} attempts:`, error.message);
+        return;
+      }
+
+      const delay = this.retryDelay(job.attempts);
+      await EmailJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'pending',
+          nextAttemptAt: new Date(Date.now() + delay),
+          lockedAt: null,
+          lastError: error.message
+        }
+      });
+      console.log(`⚠️ Email job ${job._id} (${job.template}) failed, attempt ${job.attempts}/${this.maxAttempts}. Retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+  }
+
+  /**
+   * Put a dead job back at the front of the queue with fresh attempts
+   */
+  async retry(jobId) {
+    return EmailJob.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null, lockedAt: null }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Number of jobs in each status
+   */
+  async stats() {
+    const counts = await EmailJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = Object.fromEntries(EMAIL_JOB_STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of counts) stats[_id] = count;
+    return stats;
+  }
+}
+
+export default new EmailWorker();
@@ -0,0 +1,140 @@
+import Notification from '../models/Notification.js';
+import { userRoom } from '../websocket/presence.js';
+
+// Real-time notifications to users. Routes, socket handlers and the socket
+// server all go through here, so an event reaches every device a user is
+// connected on, on any node (the socket.io adapter fans out per-user rooms).
+// Notifications that matter after the fact are also kept in an inbox.
+class NotificationService {
+  constructor() {
+    this.io = null;
+    this.presence = null;
+  }
+
+  /**
+   * Called once by the socket server when it starts
+   */
+  attach({ io, presence }) {
+    this.io = io;
+    this.presence = presence;
+  }
+
+  /**
+   * True if the user has at least one connected device
+   */
+  async isOnline(userId) {
+    if (!this.presence || !userId) return false;
+    return this.presence.isOnline(userId.toString());
+  }
+
+  /**
+   * Emit an event to every device of a user. Returns false if sockets aren't running.
+   */
+  notifyUser(userId, eventName, payload) {
+    if (!this.io || !userId) return false;
+
+    this.io.to(userRoom(userId)).emit(eventName, payload);
+    return true;
+  }
+
+  /**
+   * Emit the same event to several users
+   */
+  notifyUsers(userIds, eventName, payload) {
+    if (!this.io || userIds.length === 0) return false;
+
+    this.io.to(userIds.map(userRoom)).emit(eventName, payload);
+    return true;
+  }
+
+  /**
+   * Save a notification to the user's inbox and push it to their devices.
+   * Failures are logged rather than thrown so they never fail the action
+   * that caused the notification.
+   */
+  async record(recipientId, type, { actorId = null, data = {} } = {}) {
+    try {
+      const notification = await Notification.create({ recipient: recipientId, type, actor: actorId, data });
+      await notification.populate('actor', 'username avatar');
+
+      this.notifyUser(recipientId, 'notification', {
+        notification: this.formatNotification(notification),
+        unreadCount: await this.unreadCount(recipientId)
+      });
+      return notification;
+    } catch (error) {
+      console.error(`❌ Failed to record ${type} notification:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remove inbox entries that no longer apply, e.g. a cancelled friend request
+   */
+  async dismiss(recipientId, type, data) {
+    const filter = { recipient: recipientId, type };
+    for (const [key, value] of Object.entries(data)) {
+      filter[`data.${key}`] = value;
+    }
+
+    const { deletedCount } = await Notification.deleteMany(filter);
+    if (deletedCount > 0) {
+      this.notifyUser(recipientId, 'notifications_dismissed', {
+        type,
+        data,
+        unreadCount: await this.unreadCount(recipientId)
+      });
+    }
+  }
+
+  /**
+   * Number of unread inbox entries
+   */
+  async unreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, read: false });
+  }
+
+  /**
+   * Mark the given notifications (or all of them, when no ids are passed) read
+   * and keep the user's other devices in step
+   */
+  async markRead(userId, notificationIds = null) {
+    const filter = { recipient: userId, read: false };
+    if (notificationIds) filter._id = { $in: notificationIds };
+
+    const readAt = new Date();
+    const result = await Notification.updateMany(filter, { $set: { read: true, readAt } });
+    const unreadCount = await this.unreadCount(userId);
+
+    this.notifyUser(userId, 'notifications_read', {
+      notificationIds,
+      unreadCount,
+      readAt: readAt.toISOString()
+    });
+
+    return { markedCount: result.modifiedCount, unreadCount, readAt };
+  }
+
+  /**
+   * Shape a notification (actor populated) for clients
+   */
+  formatNotification(notification) {
+    const actor = notification.actor;
+
+    return {
+      id: notification._id,
+      type: notification.type,
+      actor: actor?._id ? {
+        id: actor._id,
+        username: actor.username,
+        avatar: actor.avatar
+      } : null,
+      data: notification.data,
+      read: notification.read,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt
+    };
+  }
+}
+
+export default new NotificationService();
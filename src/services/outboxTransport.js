@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Nodemailer transport that writes each message to a folder instead of
+// sending it: <id>.eml (raw message, opens in any mail client) and <id>.json
+// (envelope, subject, text and html) so tests and developers can inspect mail.
+export default class OutboxTransport {
+  constructor({ dir }) {
+    this.name = 'Outbox';
+    this.version = '1.0.0';
+    this.dir = dir;
+  }
+
+  send(mail, callback) {
+    this.write(mail).then(info => callback(null, info), callback);
+  }
+
+  async write(mail) {
+    const raw = await mail.message.build();
+    const envelope = mail.message.getEnvelope();
+    const messageId = mail.message.messageId();
+    const id = `${Date.now()}-${messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_')}`;
+    const data = mail.data;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await Promise.all([
+      fs.writeFile(path.join(this.dir, `${id}.eml`), raw),
+      fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify({
+        messageId,
+        envelope,
+        from: data.from,
+        to: data.to,
+        subject: data.subject,
+        headers: data.headers || {},
+        text: data.text,
+        html: data.html,
+        date: new Date().toISOString()
+      }, null, 2))
+    ]);
+
+    return { envelope, messageId, path: path.join(this.dir, `${id}.eml`) };
+  }
+}
@@ -0,0 +1,137 @@
+import User, { PRESENCE_STATUSES } from '../models/User.js';
+import notificationService from './notificationService.js';
+
+// User status shared by the socket server and the REST routes: telling
+// friends about status changes, saving a chosen status, and keeping the
+// block lists cached on connected sockets up to date.
+class PresenceService {
+  constructor() {
+    this.io = null;
+    this.clustered = false;
+  }
+
+  /**
+   * Called once by the socket server when it starts
+   */
+  attach({ io, clustered }) {
+    this.io = io;
+    this.clustered = clustered;
+  }
+
+  /**
+   * Reload the cached block lists of this node's sockets for the given users
+   */
+  async reloadBlockedIds(ids) {
+    if (!this.io) return;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (ids.includes(socket.userId)) {
+        socket.blockedIds = await User.blockedIdsFor(socket.userId);
+      }
+    }
+  }
+
+  /**
+   * Reload the cached block lists for any connected sockets of the given users,
+   * on every node
+   */
+  async refreshBlockedIds(userIds) {
+    if (!this.io) return;
+
+    const ids = userIds.map(id => id.toString());
+    await this.reloadBlockedIds(ids);
+    // Other nodes reload the lists of their own sockets
+    if (this.clustered) this.io.serverSideEmit('refresh_blocked_ids', ids);
+  }
+
+  /**
+   * Friends allowed to see a user's status (per lastSeenVisibility), minus blocks
+   */
+  async audience(user) {
+    const blockedIds = await User.blockedIdsFor(user._id);
+
+    return user.friends
+      .map(id => id.toString())
+      .filter(id => user.isVisibleTo('lastSeenVisibility', id) && !blockedIds.has(id));
+  }
+
+  /**
+   * Tell a user's friends their current status ("user_online", "user_offline" or
+   * "presence_updated"). Invisible users never announce coming or going, and
+   * their status changes show them as offline.
+   */
+  async publishStatus(userId, eventName = 'presence_updated') {
+    const user = await User.findById(userId).select('username friends privacy isOnline lastSeen presence');
+    if (!user) return;
+    if (eventName === 'presence_updated' ? !user.isOnline : user.presence.status === 'invisible') return;
+
+    const audience = await this.audience(user);
+    if (audience.length === 0) return;
+
+    notificationService.notifyUsers(audience, eventName, {
+      userId: user._id.toString(),
+      username: user.username,
+      ...user.presenceSummary(),
+      lastSeen: user.lastSeen.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Set a presence flag the server maintains ("inCall", "idle") and tell friends if it changed
+   */
+  async setFlag(userId, flag, value) {
+    const path = `presence.${flag}`;
+    const result = await User.updateOne({ _id: userId, [path]: { $ne: value } }, { $set: { [path]: value } });
+    if (result.modifiedCount > 0) await this.publishStatus(userId);
+  }
+
+  /**
+   * Mark a user as in a call or not. Fire and forget; failures are logged.
+   */
+  setInCall(userId, inCall) {
+    this.setFlag(userId, 'inCall', inCall).catch(error => {
+      console.error('❌ Failed to update call presence:', error.message);
+    });
+  }
+
+  /**
+   * Validate and save a user's chosen status and/or status text, then tell
+   * their friends and their other devices. Returns { error } for bad input.
+   */
+  async setUserStatus(userId, { status, statusText } = {}) {
+    const updates = {};
+
+    if (status !== undefined) {
+      if (!PRESENCE_STATUSES.includes(status)) {
+        return { error: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}` };
+      }
+      updates['presence.status'] = status;
+    }
+
+    if (statusText !== undefined) {
+      if (statusText !== null && typeof statusText !== 'string') {
+        return { error: 'Status text must be a string' };
+      }
+      const text = (statusText || '').trim();
+      if (text.length > 100) {
+        return { error: 'Status text cannot exceed 100 characters' };
+      }
+      updates['presence.statusText'] = text;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { error: 'Provide a status and/or statusText' };
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { $set: updates }, { new: true }).select('presence');
+    if (!user) return { error: 'User not found' };
+
+    const presence = { status: user.presence.status, statusText: user.presence.statusText };
+    notificationService.notifyUser(userId, 'status_updated', { ...presence, timestamp: new Date().toISOString() });
+    await this.publishStatus(userId);
+    return { presence };
+  }
+}
+
+export default new PresenceService();
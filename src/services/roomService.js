@@ -0,0 +1,39 @@
+// Lets REST routes act on live group call rooms without depending on the
+// socket server, which owns the live call state and registers how rooms close.
+class RoomService {
+  constructor() {
+    this.closeRoom = null;
+    this.participants = null;
+  }
+
+  /**
+   * Called once by the socket server when it starts
+   */
+  attach({ closeRoom, participants }) {
+    this.closeRoom = closeRoom;
+    this.participants = participants;
+  }
+
+  /**
+   * End a group call room for everyone in it. Returns false if sockets aren't running.
+   */
+  endRoom(roomId) {
+    if (!this.closeRoom) return false;
+
+    this.closeRoom(roomId).catch(error => {
+      console.error('❌ Failed to close room:', error.message);
+    });
+    return true;
+  }
+
+  /**
+   * Who is in a group call room right now (empty if sockets aren't running)
+   */
+  async roomParticipants(roomId) {
+    if (!this.participants) return [];
+
+    return this.participants(roomId);
+  }
+}
+
+export default new RoomService();
@@ -0,0 +1,164 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { userRoom, sessionRoom } from '../websocket/presence.js';
+
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+  }
+
+  // Checked at startup (config/env.js); never falls back to a default
+  get jwtSecret() {
+    if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set');
+    return process.env.JWT_SECRET;
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, username: user.username, sid: sessionId.toString() },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Start a new session for a user (one per device/login) and return its tokens
+   */
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      userAgent: req?.get?.('user-agent') || '',
+      ip: req?.ip || '',
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: this.accessTokenTtl,
+      sessionId: session._id.toString()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair. The presented token
+   * is retired; presenting a retired token again revokes the whole session.
+   * Returns null when the token is unknown, expired or revoked.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+
+    // Matching on the current hash and swapping it in one update means only one
+    // of several concurrent refreshes with the same token can win
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          previousTokenHash: tokenHash,
+          refreshTokenHash: this.hashToken(nextRefreshToken),
+          lastUsedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: now } }
+      );
+      if (reused) {
+        console.log('🚨 Refresh token reuse detected, revoking session:', reused._id.toString());
+      }
+      return null;
+    }
+
+    const user = await User.findById(session.user).select('username');
+    if (!user) return null;
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: this.accessTokenTtl,
+      sessionId: session._id.toString()
+    };
+  }
+
+  /**
+   * Verify an access token and make sure its session is still active.
+   * Throws when the token is invalid, expired or its session was revoked.
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, this.jwtSecret);
+
+    if (!decoded.sid) {
+      throw new Error('Token is not bound to a session');
+    }
+
+    const session = await Session.findById(decoded.sid).select('user expiresAt revokedAt');
+    if (!session || !session.isActive()) {
+      throw new Error('Session has been revoked');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Revoke a single session (logout on one device)
+   */
+  async revokeSession(sessionId) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Revoke every active session for a user (logout everywhere),
+   * optionally keeping the session the request came from
+   */
+  async revokeAllSessions(userId, { exceptSessionId } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(
+      filter,
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Drop live sockets that belong to revoked sessions
+   */
+  disconnectSockets(io, { sessionId, userId, exceptSessionId }) {
+    if (!io || (!sessionId && !userId)) return;
+
+    // Sockets join per-session and per-user channels, which reach every node
+    let sockets = io.in(sessionId ? sessionRoom(sessionId) : userRoom(userId));
+    if (exceptSessionId) sockets = sockets.except(sessionRoom(exceptSessionId));
+
+    sockets.emit('session_revoked', { reason: 'logged_out' });
+    sockets.disconnectSockets(true);
+  }
+}
+
+export default new SessionService();
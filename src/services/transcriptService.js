@@ -0,0 +1,92 @@
+import Caption from '../models/Caption.js';
+
+// How long a cue stays up when the next caption doesn't cut it short
+const MAX_CUE_MS = 4000;
+const MIN_CUE_MS = 1000;
+
+class TranscriptService {
+  /**
+   * Save a caption for a call that is recording captions
+   */
+  async recordCaption(call, speakerId, caption) {
+    const text = typeof caption?.text === 'string' ? caption.text.trim() : '';
+    // Skip empty and interim (not yet final) recognition results
+    if (!text || caption.isFinal === false) return null;
+
+    return Caption.create({
+      call: call._id,
+      speaker: speakerId,
+      text: text.slice(0, 2000),
+      type: caption.type || 'speech'
+    });
+  }
+
+  /**
+   * Build transcript cues for a call (caller and callee populated), with
+   * times in milliseconds relative to the call start
+   */
+  async buildCues(call) {
+    const captions = await Caption.find({ call: call._id })
+      .populate('speaker', 'username displayName')
+      .sort({ spokenAt: 1 });
+
+    const callStart = (call.answeredAt || call.startedAt).getTime();
+
+    return captions.map((caption, index) => {
+      const start = Math.max(caption.spokenAt.getTime() - callStart, 0);
+      const next = captions[index + 1];
+      const nextStart = next ? next.spokenAt.getTime() - callStart : Infinity;
+      const end = Math.max(Math.min(nextStart, start + MAX_CUE_MS), start + MIN_CUE_MS);
+
+      return {
+        start,
+        end,
+        speakerId: caption.speaker?._id.toString() || null,
+        speaker: caption.speaker?.displayName || caption.speaker?.username || 'Unknown',
+        type: caption.type,
+        text: caption.text
+      };
+    });
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+   */
+  formatTimestamp(ms, separator) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const millis = Math.floor(ms % 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+  }
+
+  /**
+   * Render cues as WebVTT, using voice spans for speaker labels
+   */
+  toWebVTT(cues) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const body = cues.map((cue, index) => [
+      String(index + 1),
+      `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`,
+      `<v ${escape(cue.speaker)}>${escape(cue.text)}`
+    ].join('\n'));
+
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+  }
+
+  /**
+   * Render cues as SRT, prefixing each line with the speaker's name
+   */
+  toSRT(cues) {
+    return cues.map((cue, index) => [
+      String(index + 1),
+      `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+      `${cue.speaker}: ${cue.text}`
+    ].join('\n')).join('\n\n') + '\n';
+  }
+}
+
+export default new TranscriptService();
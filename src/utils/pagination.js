@@ -0,0 +1,6 @@
+// Read ?page= and ?limit= into skip/limit values, clamping limit to the route's maximum
+export const parsePagination = (query, { defaultLimit, maxLimit }) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
@@ -0,0 +1,5 @@
+// backend/src/websocket/ack.js
+// Answer a socket event's acknowledgement callback, if the client sent one
+export const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
@@ -0,0 +1,315 @@
+// backend/src/websocket/callState.js
+// Live call state: one-to-one calls, which call (or group room) each user is
+// in, who is in each group room and which calls are recording captions.
+// Single-node development keeps it in memory; with REDIS_URL set it lives in
+// Redis next to presence, so a call works whichever nodes its participants
+// are connected to.
+//
+// Both stores expose the same async interface:
+//   startCall(call, { ringTimeoutMs })      -> boolean; false if caller or callee is already in a call
+//   getCall(callId)                          -> call or null
+//   answerCall(callId, calleeId, socketId)   -> { call, answered }; only the callee can answer,
+//                                               and only a ringing call
+//   removeCall(callId, { onlyIfState })      -> the removed call, or null if it was already gone
+//   activeCallOf(userId)                     -> callId, "room:<roomId>" or null
+//   joinRoom(roomId, member, { maxParticipants }) -> { status: 'joined' | 'busy' | 'full', participants }
+//   leaveRoom(roomId, userId, socketId)      -> { left, remaining }
+//   roomMembers(roomId)                      -> [{ userId, socketId, username, joinedAt }]
+//   closeRoom(roomId)                        -> ids of the users who were in it
+//   setRecording(callId, recording), getRecording(callId), stopRecording(callId)
+//
+// A call is { callId, callerId, callerUsername, calleeId, roomId, state,
+// callerSocketId, calleeSocketId }; state is "ringing" until the callee
+// answers, then "in_call". A recording is { _id, participantIds }, the Call
+// document's id and both participants, for a call whose participants agreed
+// to have captions saved.
+
+// Group rooms are "room:<roomId>" wherever a user's current call is recorded,
+// and also the socket.io channel of the room
+export const roomChannel = (roomId) => `room:${roomId}`;
+
+// The room id when a user's current call is a group room, otherwise null
+export const roomIdOf = (activeCall) => activeCall?.startsWith('room:') ? activeCall.slice('room:'.length) : null;
+
+// Ended calls and rooms are removed straight away; these only bound how long
+// state is kept after its node stopped without clearing it. A ringing call
+// lasts a little longer than its ring timeout, anything live for a day.
+const RINGING_GRACE_MS = 60 * 1000;
+const LIVE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export class MemoryCallStateStore {
+  constructor() {
+    // callId -> call
+    this.calls = new Map();
+    // userId -> callId or "room:<roomId>"
+    this.userCalls = new Map();
+    // roomId -> Map(userId -> member)
+    this.rooms = new Map();
+    // callId -> recording
+    this.recordings = new Map();
+  }
+
+  async startCall(call) {
+    if (this.userCalls.has(call.callerId) || this.userCalls.has(call.calleeId)) return false;
+
+    this.calls.set(call.callId, { ...call });
+    this.userCalls.set(call.callerId, call.callId);
+    this.userCalls.set(call.calleeId, call.callId);
+    return true;
+  }
+
+  async getCall(callId) {
+    const call = this.calls.get(callId);
+    return call ? { ...call } : null;
+  }
+
+  async answerCall(callId, calleeId, socketId) {
+    const call = this.calls.get(callId);
+    if (!call || call.calleeId !== calleeId || call.state !== 'ringing') {
+      return { call: call ? { ...call } : null, answered: false };
+    }
+
+    call.state = 'in_call';
+    call.calleeSocketId = socketId;
+    return { call: { ...call }, answered: true };
+  }
+
+  async removeCall(callId, { onlyIfState } = {}) {
+    const call = this.calls.get(callId);
+    if (!call || (onlyIfState && call.state !== onlyIfState)) return null;
+
+    this.calls.delete(callId);
+    for (const userId of [call.callerId, call.calleeId]) {
+      if (this.userCalls.get(userId) === callId) this.userCalls.delete(userId);
+    }
+    return call;
+  }
+
+  async activeCallOf(userId) {
+    return this.userCalls.get(userId.toString()) || null;
+  }
+
+  async joinRoom(roomId, member, { maxParticipants }) {
+    const members = this.rooms.get(roomId) || new Map();
+    const participants = Array.from(members.values());
+
+    if (this.userCalls.has(member.userId)) return { status: 'busy', participants };
+    if (members.size >= maxParticipants) return { status: 'full', participants };
+
+    members.set(member.userId, { ...member });
+    this.rooms.set(roomId, members);
+    this.userCalls.set(member.userId, roomChannel(roomId));
+    return { status: 'joined', participants };
+  }
+
+  async leaveRoom(roomId, userId, socketId) {
+    const members = this.rooms.get(roomId);
+    if (!members || members.get(userId)?.socketId !== socketId) return { left: false, remaining: members?.size || 0 };
+
+    members.delete(userId);
+    if (members.size === 0) this.rooms.delete(roomId);
+    if (this.userCalls.get(userId) === roomChannel(roomId)) this.userCalls.delete(userId);
+    return { left: true, remaining: members.size };
+  }
+
+  async roomMembers(roomId) {
+    return Array.from(this.rooms.get(roomId)?.values() || []);
+  }
+
+  async closeRoom(roomId) {
+    const userIds = Array.from(this.rooms.get(roomId)?.keys() || []);
+    this.rooms.delete(roomId);
+
+    return userIds.filter(userId => {
+      if (this.userCalls.get(userId) !== roomChannel(roomId)) return false;
+      this.userCalls.delete(userId);
+      return true;
+    });
+  }
+
+  async setRecording(callId, recording) {
+    this.recordings.set(callId, recording);
+  }
+
+  async getRecording(callId) {
+    return this.recordings.get(callId) || null;
+  }
+
+  async stopRecording(callId) {
+    this.recordings.delete(callId);
+  }
+}
+
+// Each step that reads and then changes state runs as one Lua script, so two
+// nodes can't both answer a call or both fill the last place in a room
+const START_CALL = `
+  if redis.call('EXISTS', KEYS[2]) == 1 or redis.call('EXISTS', KEYS[3]) == 1 then return 0 end
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[3])
+  redis.call('SET', KEYS[2], ARGV[2], 'PX', ARGV[3])
+  redis.call('SET', KEYS[3], ARGV[2], 'PX', ARGV[3])
+  return 1`;
+
+const ANSWER_CALL = `
+  local raw = redis.call('GET', KEYS[1])
+  if not raw then return {0, false} end
+  local call = cjson.decode(raw)
+  if call.calleeId ~= ARGV[1] or call.state ~= 'ringing' then return {0, raw} end
+  call.state = 'in_call'
+  call.calleeSocketId = ARGV[2]
+  raw = cjson.encode(call)
+  redis.call('SET', KEYS[1], raw, 'PX', ARGV[3])
+  redis.call('PEXPIRE', KEYS[2], ARGV[3])
+  redis.call('PEXPIRE', KEYS[3], ARGV[3])
+  return {1, raw}`;
+
+const REMOVE_CALL = `
+  local raw = redis.call('GET', KEYS[1])
+  if not raw then return false end
+  if ARGV[2] ~= '' and cjson.decode(raw).state ~= ARGV[2] then return false end
+  redis.call('DEL', KEYS[1])
+  for i = 2, 3 do
+    if redis.call('GET', KEYS[i]) == ARGV[1] then redis.call('DEL', KEYS[i]) end
+  end
+  return raw`;
+
+const JOIN_ROOM = `
+  local participants = redis.call('HVALS', KEYS[1])
+  if redis.call('EXISTS', KEYS[2]) == 1 then return {'busy', participants} end
+  if #participants >= tonumber(ARGV[3]) then return {'full', participants} end
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+  redis.call('PEXPIRE', KEYS[1], ARGV[5])
+  redis.call('SET', KEYS[2], ARGV[4], 'PX', ARGV[5])
+  return {'joined', participants}`;
+
+const LEAVE_ROOM = `
+  local raw = redis.call('HGET', KEYS[1], ARGV[1])
+  if not raw or cjson.decode(raw).socketId ~= ARGV[2] then return -1 end
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  if redis.call('GET', KEYS[2]) == ARGV[3] then redis.call('DEL', KEYS[2]) end
+  return redis.call('HLEN', KEYS[1])`;
+
+const RELEASE_USER = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+  return 0`;
+
+// Keys: call:<callId> (JSON call), call:user:<userId> (callId or
+// "room:<roomId>"), call:room:<roomId> (hash userId -> JSON member) and
+// call:recording:<callId> (JSON recording)
+export class RedisCallStateStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  callKey(callId) {
+    return `call:${callId}`;
+  }
+
+  userKey(userId) {
+    return `call:user:${userId}`;
+  }
+
+  roomKey(roomId) {
+    return `call:room:${roomId}`;
+  }
+
+  recordingKey(callId) {
+    return `call:recording:${callId}`;
+  }
+
+  // Keys of a call and its two participants, for the scripts above
+  callKeys(call) {
+    return [this.callKey(call.callId), this.userKey(call.callerId), this.userKey(call.calleeId)];
+  }
+
+  async startCall(call, { ringTimeoutMs }) {
+    const started = await this.client.eval(START_CALL, {
+      keys: this.callKeys(call),
+      arguments: [JSON.stringify(call), call.callId, String(ringTimeoutMs + RINGING_GRACE_MS)]
+    });
+    return Number(started) === 1;
+  }
+
+  async getCall(callId) {
+    const raw = await this.client.get(this.callKey(callId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async answerCall(callId, calleeId, socketId) {
+    const call = await this.getCall(callId);
+    if (!call) return { call: null, answered: false };
+
+    const [answered, raw] = await this.client.eval(ANSWER_CALL, {
+      keys: this.callKeys(call),
+      arguments: [calleeId, socketId, String(LIVE_TTL_MS)]
+    });
+    return { call: raw ? JSON.parse(raw) : null, answered: Number(answered) === 1 };
+  }
+
+  async removeCall(callId, { onlyIfState } = {}) {
+    const call = await this.getCall(callId);
+    if (!call) return null;
+
+    const raw = await this.client.eval(REMOVE_CALL, {
+      keys: this.callKeys(call),
+      arguments: [callId, onlyIfState || '']
+    });
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async activeCallOf(userId) {
+    return this.client.get(this.userKey(userId.toString()));
+  }
+
+  async joinRoom(roomId, member, { maxParticipants }) {
+    const [status, participants] = await this.client.eval(JOIN_ROOM, {
+      keys: [this.roomKey(roomId), this.userKey(member.userId)],
+      arguments: [
+        member.userId,
+        JSON.stringify(member),
+        String(maxParticipants),
+        roomChannel(roomId),
+        String(LIVE_TTL_MS)
+      ]
+    });
+    return { status, participants: participants.map(raw => JSON.parse(raw)) };
+  }
+
+  async leaveRoom(roomId, userId, socketId) {
+    const remaining = Number(await this.client.eval(LEAVE_ROOM, {
+      keys: [this.roomKey(roomId), this.userKey(userId)],
+      arguments: [userId, socketId, roomChannel(roomId)]
+    }));
+    return remaining === -1 ? { left: false, remaining: 0 } : { left: true, remaining };
+  }
+
+  async roomMembers(roomId) {
+    const members = await this.client.hVals(this.roomKey(roomId));
+    return members.map(raw => JSON.parse(raw));
+  }
+
+  async closeRoom(roomId) {
+    const [members] = await this.client.multi()
+      .hKeys(this.roomKey(roomId))
+      .del(this.roomKey(roomId))
+      .exec();
+
+    const released = await Promise.all(members.map(userId => this.client.eval(RELEASE_USER, {
+      keys: [this.userKey(userId)],
+      arguments: [roomChannel(roomId)]
+    })));
+    return members.filter((userId, index) => Number(released[index]) === 1);
+  }
+
+  async setRecording(callId, recording) {
+    await this.client.set(this.recordingKey(callId), JSON.stringify(recording), { PX: LIVE_TTL_MS });
+  }
+
+  async getRecording(callId) {
+    const raw = await this.client.get(this.recordingKey(callId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async stopRecording(callId) {
+    await this.client.del(this.recordingKey(callId));
+  }
+}
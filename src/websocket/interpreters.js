@@ -0,0 +1,299 @@
+// backend/src/websocket/interpreters.js
+// Matches interpreter requests to available online interpreters. Requests wait
+// in a FIFO queue; the oldest request is offered to one interpreter at a time
+// and moves on to the next interpreter if it is declined or not answered.
+// The queue is the InterpreterRequest collection itself, so every node
+// dispatches from the same queue and claims a request before ringing anyone.
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Room from '../models/Room.js';
+import InterpreterRequest from '../models/InterpreterRequest.js';
+import notificationService from '../services/notificationService.js';
+import { reply } from './ack.js';
+
+const INTERPRETER_RING_TIMEOUT_MS = parseInt(process.env.INTERPRETER_RING_TIMEOUT_MS, 10) || 30000;
+// Used for the wait estimate shown to queued requesters
+const AVERAGE_SESSION_MINUTES = parseInt(process.env.INTERPRETER_AVG_SESSION_MINUTES, 10) || 15;
+// How often to retry matching while requests are waiting
+const DISPATCH_INTERVAL_MS = 10000;
+
+const WAITING_STATUSES = ['queued', 'ringing'];
+
+// requestId -> timer for the rings this node started. If the node stops, the
+// request's ringingUntil lets another node's dispatch pass it on instead.
+const ringTimers = new Map();
+
+let context = null;
+let dispatchTimer = null;
+let dispatching = false;
+
+// Reaches every device the user is connected on
+const emitToUser = (userId, eventName, payload) => {
+  notificationService.notifyUser(userId, eventName, payload);
+};
+
+const clearRingTimer = (requestId) => {
+  clearTimeout(ringTimers.get(requestId));
+  ringTimers.delete(requestId);
+};
+
+// Online interpreters who are accepting requests, not busy and not already
+// being offered a request (`beingRung`)
+const findAvailableInterpreter = async (request, beingRung) => {
+  const onlineIds = (await context.presence.onlineUsers()).map(user => user.userId);
+  const skipped = new Set(request.skippedBy.map(id => id.toString()));
+
+  const filter = {
+    _id: { $in: onlineIds, $ne: request.requester },
+    userType: 'interpreter',
+    'interpreter.acceptingRequests': true,
+    'presence.status': { $ne: 'dnd' },
+    blockedUsers: { $ne: request.requester }
+  };
+  if (request.signLanguage) filter['interpreter.signLanguages'] = request.signLanguage;
+
+  const candidates = await User.find(filter).select('_id username');
+
+  for (const candidate of candidates) {
+    const id = candidate._id.toString();
+    if (beingRung.has(id) || skipped.has(id)) continue;
+    if (await context.callState.activeCallOf(id)) continue;
+    return candidate;
+  }
+  return null;
+};
+
+// Position (1-based) and rough wait for the request at that place in the queue
+const queuePosition = (position) => ({
+  position,
+  estimatedWaitMinutes: position * AVERAGE_SESSION_MINUTES
+});
+
+// Position and rough wait for a request, or null once it has stopped waiting
+export async function queueStatus(request) {
+  if (!WAITING_STATUSES.includes(request.status)) return null;
+
+  const ahead = await InterpreterRequest.countDocuments({
+    status: { $in: WAITING_STATUSES },
+    createdAt: { $lt: request.createdAt }
+  });
+  return queuePosition(ahead + 1);
+}
+
+const broadcastQueuePositions = (waiting) => {
+  waiting.forEach((request, index) => {
+    emitToUser(request.requester, 'interpreter_queue_update', {
+      requestId: request._id.toString(),
+      ...queuePosition(index + 1)
+    });
+  });
+};
+
+const findWaiting = () => InterpreterRequest.find({ status: { $in: WAITING_STATUSES } }).sort({ createdAt: 1 });
+
+// Offer waiting requests (oldest first) to free interpreters
+export async function dispatchInterpreterQueue() {
+  if (!context || dispatching) return;
+  dispatching = true;
+
+  let waiting = [];
+  try {
+    waiting = await findWaiting();
+
+    // Rings that outlived their timeout because the node that started them stopped
+    const expired = waiting.filter(request => request.status === 'ringing' && request.ringingUntil <= new Date());
+    for (const request of expired) {
+      await skipInterpreter(request._id.toString(), request.ringingInterpreter?.toString() || null);
+    }
+    if (expired.length > 0) waiting = await findWaiting();
+
+    const beingRung = new Set(waiting
+      .filter(request => request.status === 'ringing' && request.ringingInterpreter)
+      .map(request => request.ringingInterpreter.toString()));
+
+    for (const request of waiting) {
+      if (request.status !== 'queued') continue;
+
+      const interpreter = await findAvailableInterpreter(request, beingRung);
+      if (!interpreter) continue;
+
+      const requestId = request._id.toString();
+      const interpreterId = interpreter._id.toString();
+
+      // Claim the request; another node may have offered it, or rung this
+      // interpreter, in the meantime
+      let claimed;
+      try {
+        claimed = await InterpreterRequest.findOneAndUpdate(
+          { _id: request._id, status: 'queued' },
+          {
+            $set: {
+              status: 'ringing',
+              ringingInterpreter: interpreterId,
+              ringingUntil: new Date(Date.now() + INTERPRETER_RING_TIMEOUT_MS)
+            }
+          },
+          { new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        beingRung.add(interpreterId);
+        continue;
+      }
+      if (!claimed) continue;
+
+      beingRung.add(interpreterId);
+      ringTimers.set(requestId, setTimeout(() => skipInterpreter(requestId, interpreterId), INTERPRETER_RING_TIMEOUT_MS));
+
+      const requester = await User.findById(request.requester).select('username userType preferences');
+      emitToUser(interpreterId, 'interpreter_request', {
+        requestId,
+        roomId: request.roomId,
+        signLanguage: request.signLanguage || null,
+        requester: {
+          id: request.requester.toString(),
+          username: requester?.username,
+          userType: requester?.userType,
+          preferences: requester?.preferences
+        },
+        ringTimeoutMs: INTERPRETER_RING_TIMEOUT_MS,
+        timestamp: new Date().toISOString()
+      });
+      console.log(`🤟 Offering interpreter request ${requestId} to ${interpreter.username}`);
+    }
+
+    broadcastQueuePositions(waiting);
+  } catch (error) {
+    console.error('❌ Interpreter dispatch failed:', error.message);
+  } finally {
+    dispatching = false;
+  }
+
+  // Keep retrying while anyone is waiting
+  if (waiting.length > 0 && !dispatchTimer) {
+    dispatchTimer = setInterval(() => dispatchInterpreterQueue(), DISPATCH_INTERVAL_MS);
+  } else if (waiting.length === 0 && dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+  }
+}
+
+// The rung interpreter declined or didn't answer: put the request back and try
+// someone else. Never throws (it also runs from timers); returns false on failure.
+async function skipInterpreter(requestId, interpreterId) {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) return true;
+
+  try {
+    const update = { $set: { status: 'queued', ringingInterpreter: null, ringingUntil: null } };
+    if (interpreterId) update.$addToSet = { skippedBy: interpreterId };
+
+    const { modifiedCount } = await InterpreterRequest.updateOne(
+      { _id: requestId, status: 'ringing', ringingInterpreter: interpreterId },
+      update
+    );
+    // Already answered, cancelled or passed on
+    if (modifiedCount === 0) return true;
+
+    clearRingTimer(requestId);
+    if (interpreterId) emitToUser(interpreterId, 'interpreter_request_withdrawn', { requestId });
+
+    await dispatchInterpreterQueue();
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to pass interpreter request on:', error.message);
+    return false;
+  }
+}
+
+// Withdraw a request that is still waiting or ringing
+export async function cancelInterpreterRequest(request) {
+  const requestId = request._id.toString();
+  clearRingTimer(requestId);
+
+  // The request as it was, to see whether an interpreter was being rung
+  const previous = await InterpreterRequest.findOneAndUpdate(
+    { _id: request._id, status: { $in: WAITING_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), ringingInterpreter: null, ringingUntil: null } }
+  );
+  if (previous?.status === 'ringing') {
+    emitToUser(previous.ringingInterpreter, 'interpreter_request_withdrawn', { requestId });
+  }
+
+  await dispatchInterpreterQueue();
+}
+
+export function registerInterpreterHandlers(io, socket) {
+  socket.on('accept_interpreter_request', async (data = {}, ack) => {
+    const requestId = data.requestId;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return reply(ack, { success: false, error: 'This request is no longer available' });
+    }
+
+    try {
+      // Only the interpreter being rung can take it, and only once
+      const request = await InterpreterRequest.findOneAndUpdate(
+        { _id: requestId, status: 'ringing', ringingInterpreter: socket.userId },
+        {
+          $set: {
+            status: 'accepted',
+            interpreter: socket.userId,
+            acceptedAt: new Date(),
+            ringingInterpreter: null,
+            ringingUntil: null
+          }
+        },
+        { new: true }
+      );
+      if (!request) {
+        return reply(ack, { success: false, error: 'This request is no longer available' });
+      }
+      clearRingTimer(requestId);
+
+      // Let the interpreter through the room's membership check
+      await Room.updateOne({ roomId: request.roomId }, { $addToSet: { invitees: socket.userId } });
+
+      const assignment = {
+        requestId,
+        roomId: request.roomId,
+        interpreter: {
+          id: socket.userId,
+          username: socket.username
+        },
+        timestamp: new Date().toISOString()
+      };
+      emitToUser(request.requester, 'interpreter_assigned', assignment);
+      io.to(`room:${request.roomId}`).emit('room_interpreter_assigned', assignment);
+
+      reply(ack, { success: true, roomId: request.roomId });
+      console.log(`✅ Interpreter ${socket.username} accepted request ${requestId}`);
+
+      await dispatchInterpreterQueue();
+    } catch (error) {
+      console.error('❌ Failed to accept interpreter request:', error.message);
+      reply(ack, { success: false, error: 'Failed to accept request' });
+    }
+  });
+
+  socket.on('decline_interpreter_request', async (data = {}, ack) => {
+    if (await skipInterpreter(data.requestId, socket.userId)) {
+      reply(ack, { success: true });
+    } else {
+      reply(ack, { success: false, error: 'Failed to decline request' });
+    }
+  });
+}
+
+// Called once by the socket server so matching can reach connected users.
+// Requests left waiting when the server last stopped are picked up by the first dispatch.
+export function initInterpreterMatching({ io, presence, callState }) {
+  context = { io, presence, callState };
+  dispatchInterpreterQueue();
+}
+
+// An interpreter went offline: stop ringing them
+export async function releaseInterpreter(userId) {
+  const requests = await InterpreterRequest.find({ status: 'ringing', ringingInterpreter: userId }).select('_id');
+  for (const request of requests) {
+    await skipInterpreter(request._id.toString(), userId);
+  }
+}
@@ -0,0 +1,282 @@
+// backend/src/websocket/presence.js
+// Who is online and on which sockets. Single-node development keeps this in
+// memory; with REDIS_URL set it lives in Redis so every backend instance
+// behind the load balancer sees the same presence.
+//
+// Both stores expose the same async interface:
+//   addSocket(userId, socketId, { username }) -> { firstDevice }
+//   removeSocket(userId, socketId)            -> { lastDevice }
+//   updateSocket(userId, socketId, data)      merge per-device data (e.g. caption language)
+//   getSockets(userId)                        -> [{ socketId, connectedAt, ...data }]
+//   isOnline(userId)                          -> boolean
+//   onlineUsers()                             -> [{ userId, username, connectedAt, deviceCount }]
+//   watchNodes({ onSocketGone, onRejoined })  keep this node registered and clear up
+//                                             after nodes that stopped (Redis only)
+import { randomUUID } from 'crypto';
+import { MemoryCallStateStore, RedisCallStateStore } from './callState.js';
+
+// Each node refreshes its heartbeat this often; a node whose heartbeat is
+// older than NODE_TTL_MS has stopped, and its sockets are removed
+const NODE_HEARTBEAT_MS = parseInt(process.env.NODE_HEARTBEAT_MS, 10) || 10000;
+const NODE_TTL_MS = NODE_HEARTBEAT_MS * 3;
+
+// Every socket of a user joins this channel, so emitting to it reaches all
+// their devices on every node (through the socket.io adapter)
+export const userRoom = (userId) => `user:${userId}`;
+
+// Every socket signed in with a given session joins this channel
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+export class MemoryPresenceStore {
+  constructor() {
+    // userId -> { username, connectedAt, sockets: Map(socketId -> data) }
+    this.users = new Map();
+  }
+
+  async addSocket(userId, socketId, { username }) {
+    const existing = this.users.get(userId);
+    const socketData = { connectedAt: new Date().toISOString() };
+
+    if (existing) {
+      existing.sockets.set(socketId, socketData);
+      return { firstDevice: false };
+    }
+
+    this.users.set(userId, {
+      username,
+      connectedAt: socketData.connectedAt,
+      sockets: new Map([[socketId, socketData]])
+    });
+    return { firstDevice: true };
+  }
+
+  async removeSocket(userId, socketId) {
+    const entry = this.users.get(userId);
+    entry?.sockets.delete(socketId);
+
+    if (!entry || entry.sockets.size === 0) {
+      this.users.delete(userId);
+      return { lastDevice: true };
+    }
+    return { lastDevice: false };
+  }
+
+  async updateSocket(userId, socketId, data) {
+    const socketData = this.users.get(userId)?.sockets.get(socketId);
+    if (socketData) Object.assign(socketData, data);
+  }
+
+  async getSockets(userId) {
+    const entry = this.users.get(userId.toString());
+    if (!entry) return [];
+
+    return Array.from(entry.sockets.entries()).map(([socketId, data]) => ({ socketId, ...data }));
+  }
+
+  async isOnline(userId) {
+    return this.users.has(userId.toString());
+  }
+
+  async onlineUsers() {
+    return Array.from(this.users.entries()).map(([userId, entry]) => ({
+      userId,
+      username: entry.username,
+      connectedAt: entry.connectedAt,
+      deviceCount: entry.sockets.size
+    }));
+  }
+
+  // Every socket in memory belongs to this process, so there are no other nodes to watch
+  async watchNodes() {}
+}
+
+// Keys: presence:online (set of user ids), presence:user:<id> (hash with
+// username and connectedAt) and presence:sockets:<id> (hash socketId -> JSON data).
+// Each node also has presence:node:<nodeId> (heartbeat, expires after
+// NODE_TTL_MS) and presence:node:<nodeId>:sockets (hash socketId -> userId), and
+// presence:nodes lists the nodes that have registered.
+export class RedisPresenceStore {
+  constructor(client, nodeId = randomUUID()) {
+    this.client = client;
+    this.nodeId = nodeId;
+    this.heartbeats = 0;
+  }
+
+  userKey(userId) {
+    return `presence:user:${userId}`;
+  }
+
+  socketsKey(userId) {
+    return `presence:sockets:${userId}`;
+  }
+
+  nodeKey(nodeId) {
+    return `presence:node:${nodeId}`;
+  }
+
+  nodeSocketsKey(nodeId) {
+    return `presence:node:${nodeId}:sockets`;
+  }
+
+  async addSocket(userId, socketId, { username }) {
+    const connectedAt = new Date().toISOString();
+
+    const [, , , added] = await this.client.multi()
+      .hSet(this.socketsKey(userId), socketId, JSON.stringify({ connectedAt, nodeId: this.nodeId }))
+      .hSet(this.nodeSocketsKey(this.nodeId), socketId, userId)
+      .hSetNX(this.userKey(userId), 'connectedAt', connectedAt)
+      .sAdd('presence:online', userId)
+      .hSet(this.userKey(userId), 'username', username)
+      .exec();
+
+    return { firstDevice: Number(added) === 1 };
+  }
+
+  async removeSocket(userId, socketId, nodeId = this.nodeId) {
+    const [, , remaining] = await this.client.multi()
+      .hDel(this.nodeSocketsKey(nodeId), socketId)
+      .hDel(this.socketsKey(userId), socketId)
+      .hLen(this.socketsKey(userId))
+      .exec();
+
+    if (Number(remaining) > 0) return { lastDevice: false };
+
+    // Another device may have connected in between; only the caller that
+    // actually removes the user from the online set reports going offline
+    const removed = await this.client.eval(
+      `if redis.call('HLEN', KEYS[1]) == 0 then
+         redis.call('DEL', KEYS[2])
+         return redis.call('SREM', KEYS[3], ARGV[1])
+       end
+       return 0`,
+      { keys: [this.socketsKey(userId), this.userKey(userId), 'presence:online'], arguments: [userId] }
+    );
+    return { lastDevice: Number(removed) === 1 };
+  }
+
+  async updateSocket(userId, socketId, data) {
+    const current = await this.client.hGet(this.socketsKey(userId), socketId);
+    if (!current) return;
+
+    await this.client.hSet(this.socketsKey(userId), socketId, JSON.stringify({ ...JSON.parse(current), ...data }));
+  }
+
+  async getSockets(userId) {
+    const sockets = await this.client.hGetAll(this.socketsKey(userId.toString()));
+    return Object.entries(sockets).map(([socketId, data]) => ({ socketId, ...JSON.parse(data) }));
+  }
+
+  async isOnline(userId) {
+    return Boolean(await this.client.sIsMember('presence:online', userId.toString()));
+  }
+
+  async onlineUsers() {
+    const userIds = await this.client.sMembers('presence:online');
+
+    return Promise.all(userIds.map(async (userId) => {
+      const [entry, deviceCount] = await Promise.all([
+        this.client.hGetAll(this.userKey(userId)),
+        this.client.hLen(this.socketsKey(userId))
+      ]);
+      return {
+        userId,
+        username: entry.username,
+        connectedAt: entry.connectedAt,
+        deviceCount: Number(deviceCount)
+      };
+    }));
+  }
+
+  // Refresh this node's heartbeat. `rejoined` is true when the node had already
+  // registered but was taken for stopped (e.g. Redis was unreachable for too
+  // long) and its sockets were removed.
+  async heartbeat() {
+    const [, added] = await this.client.multi()
+      .set(this.nodeKey(this.nodeId), new Date().toISOString(), { PX: NODE_TTL_MS })
+      .sAdd('presence:nodes', this.nodeId)
+      .exec();
+
+    this.heartbeats += 1;
+    return { rejoined: this.heartbeats > 1 && Number(added) === 1 };
+  }
+
+  // Remove the sockets of every node whose heartbeat has expired. Only one
+  // node claims each stopped node, so each socket is reported once.
+  async takeStoppedNodeSockets() {
+    const gone = [];
+
+    for (const nodeId of await this.client.sMembers('presence:nodes')) {
+      if (nodeId === this.nodeId || await this.client.exists(this.nodeKey(nodeId))) continue;
+      if (Number(await this.client.sRem('presence:nodes', nodeId)) !== 1) continue;
+
+      const sockets = await this.client.hGetAll(this.nodeSocketsKey(nodeId));
+      for (const [socketId, userId] of Object.entries(sockets)) {
+        const username = await this.client.hGet(this.userKey(userId), 'username');
+        const { lastDevice } = await this.removeSocket(userId, socketId, nodeId);
+        gone.push({ userId, username, socketId, lastDevice });
+      }
+      await this.client.del(this.nodeSocketsKey(nodeId));
+
+      console.log(`🪦 Node ${nodeId} stopped; removed ${Object.keys(sockets).length} of its sockets`);
+    }
+
+    return gone;
+  }
+
+  async watchNodes({ onSocketGone, onRejoined }) {
+    const check = async () => {
+      const { rejoined } = await this.heartbeat();
+      if (rejoined) {
+        console.log('⚠️ This node was taken for stopped; registering its sockets again');
+        await onRejoined();
+      }
+
+      for (const socket of await this.takeStoppedNodeSockets()) {
+        await onSocketGone(socket);
+      }
+    };
+
+    await check();
+    setInterval(() => {
+      check().catch(error => {
+        console.error('❌ Node heartbeat failed:', error.message);
+      });
+    }, NODE_HEARTBEAT_MS).unref();
+  }
+}
+
+/**
+ * Connect the socket.io Redis adapter and Redis-backed presence and call state
+ * stores when REDIS_URL is set; otherwise stay in memory. The redis packages
+ * are only loaded when needed.
+ */
+export async function setupCluster(io) {
+  const redisUrl = process.env.REDIS_URL;
+  if (!redisUrl) {
+    console.log('🧠 Presence and call state: in-memory (single node)');
+    return { presence: new MemoryPresenceStore(), callState: new MemoryCallStateStore(), clustered: false };
+  }
+
+  const [{ createClient }, { createAdapter }] = await Promise.all([
+    import('redis'),
+    import('@socket.io/redis-adapter')
+  ]);
+
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  const presenceClient = pubClient.duplicate();
+
+  for (const client of [pubClient, subClient, presenceClient]) {
+    client.on('error', (error) => console.error('❌ Redis error:', error.message));
+  }
+
+  await Promise.all([pubClient.connect(), subClient.connect(), presenceClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+
+  console.log('🧠 Presence and call state: Redis (socket.io Redis adapter enabled)');
+  return {
+    presence: new RedisPresenceStore(presenceClient),
+    callState: new RedisCallStateStore(presenceClient),
+    clustered: true
+  };
+}
@@ -0,0 +1,167 @@
+// backend/src/websocket/rooms.js
+// Group call rooms: membership plus mesh-style signaling between every pair
+// of participants. Room settings live in the Room model; who is currently in
+// a room lives in the call state store (see callState.js), shared by every node.
+import Room from '../models/Room.js';
+import { reply } from './ack.js';
+import { roomChannel } from './callState.js';
+
+// Mesh calls send every stream to every peer, so keep rooms small
+const MAX_ROOM_PARTICIPANTS = parseInt(process.env.MAX_ROOM_PARTICIPANTS, 10) || 6;
+
+// Live participants of a room, without socket ids
+export async function roomParticipants(callState, roomId) {
+  const members = await callState.roomMembers(roomId);
+  return members.map(({ userId, username, joinedAt }) => ({ userId, username, joinedAt }));
+}
+
+// Remove a user's device from a room and tell whoever is left. Takes ids
+// rather than the socket, since the device may have been on a node that stopped.
+export async function leaveRoom(io, { userId, username, socketId }, roomId, { callState, onCallStateChange }) {
+  const { left, remaining } = await callState.leaveRoom(roomId, userId, socketId);
+  if (!left) return false;
+
+  io.in(socketId).socketsLeave(roomChannel(roomId));
+  onCallStateChange?.(userId, false);
+
+  if (remaining > 0) {
+    io.to(roomChannel(roomId)).emit('room_participant_left', {
+      roomId,
+      userId,
+      username,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`🚪 ${username} left room ${roomId} (${remaining} remaining)`);
+  return true;
+}
+
+// Close a room for everyone (host ended it)
+export async function closeRoom(io, roomId, { callState, onCallStateChange }) {
+  io.to(roomChannel(roomId)).emit('room_ended', { roomId, timestamp: new Date().toISOString() });
+  io.in(roomChannel(roomId)).socketsLeave(roomChannel(roomId));
+
+  for (const userId of await callState.closeRoom(roomId)) {
+    onCallStateChange?.(userId, false);
+  }
+}
+
+export function registerRoomHandlers(io, socket, { isBlocked, callState, onCallStateChange }) {
+  const fail = (ack, roomId, error) => {
+    socket.emit('room_error', { roomId, error });
+    reply(ack, { success: false, error });
+  };
+
+  socket.on('join_room', async (data = {}, ack) => {
+    const { roomId } = data;
+    console.log('🚪 Join room request:', socket.username, 'room:', roomId);
+
+    if (!roomId || typeof roomId !== 'string') {
+      return fail(ack, roomId, 'Room ID is required');
+    }
+
+    try {
+      const currentCall = await callState.activeCallOf(socket.userId);
+      if (currentCall === roomChannel(roomId)) {
+        const members = await callState.roomMembers(roomId);
+        if (members.some(member => member.userId === socket.userId && member.socketId === socket.id)) {
+          return reply(ack, { success: true, roomId, participants: await roomParticipants(callState, roomId) });
+        }
+      }
+      if (currentCall) {
+        return fail(ack, roomId, 'You are already in a call');
+      }
+
+      const room = await Room.findOne({ roomId }).populate('host', 'friends');
+      if (!room || !room.canJoin(socket.userId)) {
+        return fail(ack, roomId, 'You are not allowed to join this room');
+      }
+
+      const members = await callState.roomMembers(roomId);
+      const blockedMember = members.some(member => isBlocked(socket, member.userId));
+      if (isBlocked(socket, room.host._id) || blockedMember) {
+        return fail(ack, roomId, 'You are not allowed to join this room');
+      }
+
+      // Checked again as part of joining, in case another node got there first;
+      // participants are the ones already in the room, before the newcomer
+      const joined = await callState.joinRoom(roomId, {
+        userId: socket.userId,
+        socketId: socket.id,
+        username: socket.username,
+        joinedAt: new Date().toISOString()
+      }, { maxParticipants: MAX_ROOM_PARTICIPANTS });
+
+      if (joined.status === 'busy') {
+        return fail(ack, roomId, 'You are already in a call');
+      }
+      if (joined.status === 'full') {
+        return fail(ack, roomId, 'Room is full');
+      }
+
+      const participants = joined.participants.map(({ userId, username, joinedAt }) => ({ userId, username, joinedAt }));
+      onCallStateChange?.(socket.userId, true);
+
+      socket.to(roomChannel(roomId)).emit('room_participant_joined', {
+        roomId,
+        userId: socket.userId,
+        username: socket.username,
+        timestamp: new Date().toISOString()
+      });
+      socket.join(roomChannel(roomId));
+
+      // The newcomer sends an offer to each existing participant
+      socket.emit('room_joined', { roomId, participants });
+      reply(ack, { success: true, roomId, participants });
+
+      console.log(`✅ ${socket.username} joined room ${roomId} (${participants.length + 1} participants)`);
+    } catch (error) {
+      console.error('❌ Failed to join room:', error.message);
+      fail(ack, roomId, 'Failed to join room');
+    }
+  });
+
+  socket.on('leave_room', async (data = {}, ack) => {
+    try {
+      const left = await leaveRoom(io, {
+        userId: socket.userId,
+        username: socket.username,
+        socketId: socket.id
+      }, data.roomId, { callState, onCallStateChange });
+      reply(ack, { success: left });
+    } catch (error) {
+      console.error('❌ Failed to leave room:', error.message);
+      reply(ack, { success: false, error: 'Failed to leave room' });
+    }
+  });
+
+  // Relay signaling to one participant, only between members of the same room
+  const relay = (eventName) => {
+    socket.on(eventName, async (data = {}) => {
+      let members;
+      try {
+        members = await callState.roomMembers(data.roomId);
+      } catch (error) {
+        console.error(`❌ Failed to look up room for ${eventName}:`, error.message);
+        return;
+      }
+
+      const target = members.find(member => member.userId === data.toUserId);
+      if (!members.some(member => member.userId === socket.userId) || !target) {
+        console.log(`⚠️ Dropping ${eventName}: sender or target not in room`, data.roomId);
+        return;
+      }
+
+      io.to(target.socketId).emit(eventName, {
+        ...data,
+        fromUserId: socket.userId,
+        fromUsername: socket.username
+      });
+    });
+  };
+
+  relay('room_offer');
+  relay('room_answer');
+  relay('room_ice_candidate');
+}
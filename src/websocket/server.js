@@ -1,11 +1,67 @@
 ﻿// backend/src/websocket/server.js
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import sessionService from '../services/sessionService.js';
+import callService from '../services/callService.js';
+import transcriptService from '../services/transcriptService.js';
+import captionTranslator from '../services/captionTranslator.js';
+import notificationService from '../services/notificationService.js';
+import presenceService from '../services/presenceService.js';
+import roomService from '../services/roomService.js';
+import Call, { MISSED_OUTCOMES } from '../models/Call.js';
+import { registerRoomHandlers, leaveRoom, closeRoom, roomParticipants } from './rooms.js';
+import { reply } from './ack.js';
+import { userRoom, sessionRoom, setupCluster } from './presence.js';
+import { roomIdOf } from './callState.js';
+import {
+  initInterpreterMatching,
+  registerInterpreterHandlers,
+  dispatchInterpreterQueue,
+  releaseInterpreter
+} from './interpreters.js';
 
-// Store connected users
-export const connectedUsers = new Map();
+// Presence store (in memory, or Redis when clustered): which users are online
+// and on which sockets. A user with several devices has one socket per
+// device and is offline once the last one disconnects.
+let presence = null;
+// Live call state (in memory, or Redis when clustered): one-to-one calls, who
+// is in which call or group room, and which calls are recording captions
+let callState = null;
+// True when the Redis adapter connects several backend instances
+let clustered = false;
 
-export function initializeWebSocketServer(server) {
+// How long an unanswered call rings before it is recorded as missed
+const CALL_RING_TIMEOUT_MS = parseInt(process.env.CALL_RING_TIMEOUT_MS, 10) || 30000;
+// How long a device can go without sending any event before it counts as idle
+const AWAY_AFTER_MS = parseInt(process.env.AWAY_AFTER_MS, 10) || 5 * 60 * 1000;
+// How long the recipient's devices have to acknowledge a chat message before it
+// is left queued for their next connect
+const MESSAGE_ACK_TIMEOUT_MS = parseInt(process.env.MESSAGE_ACK_TIMEOUT_MS, 10) || 10000;
+
+// callId -> ring timer for the calls placed on this node. The timer only ends
+// a call that is still ringing, so an answer on another node needs no message.
+const ringTimers = new Map();
+
+// Shape a stored Message document into the chat_message payload clients expect
+const formatChatMessage = (message, senderUsername) => ({
+  id: message._id.toString(),
+  messageId: message._id.toString(),
+  senderId: (message.sender._id || message.sender).toString(),
+  senderUsername,
+  recipientId: message.recipient.toString(),
+  content: message.content,
+  text: message.content,
+  delivered: message.delivered,
+  read: message.read,
+  timestamp: message.createdAt.toISOString()
+});
+
+// Group calls and one-to-one calls report who is in a call through this
+const setInCall = (userId, inCall) => presenceService.setInCall(userId, inCall);
+
+export async function initializeWebSocketServer(server) {
   console.log('🔌 Initializing WebSocket server...');
 
   // Create Socket.io server with CORS configuration
@@ -26,8 +82,23 @@ export function initializeWebSocketServer(server) {
 
   console.log(`✅ WebSocket server attached to HTTP server`);
 
+  // Redis adapter and shared presence and call state when REDIS_URL is set, in memory otherwise
+  ({ presence, callState, clustered } = await setupCluster(io));
+  notificationService.attach({ io, presence });
+  presenceService.attach({ io, clustered });
+  roomService.attach({
+    closeRoom: (roomId) => closeRoom(io, roomId, { callState, onCallStateChange: setInCall }),
+    participants: (roomId) => roomParticipants(callState, roomId)
+  });
+
+  io.on('refresh_blocked_ids', (ids) => {
+    presenceService.reloadBlockedIds(ids).catch(error => {
+      console.error('❌ Failed to reload block lists:', error.message);
+    });
+  });
+
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     
     if (!token) {
@@ -36,9 +107,13 @@ export function initializeWebSocketServer(server) {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Rejects tokens whose session was revoked by logout
+      const decoded = await sessionService.verifyAccessToken(token);
       socket.userId = decoded.userId;
       socket.username = decoded.username;
+      socket.sessionId = decoded.sid;
+      // Cached so high-frequency events (typing, captions) don't hit the database
+      socket.blockedIds = await User.blockedIdsFor(decoded.userId);
       next();
     } catch (error) {
       console.error('❌ Token verification failed:', error.message);
@@ -46,33 +121,366 @@ export function initializeWebSocketServer(server) {
     }
   });
 
+  initInterpreterMatching({ io, presence, callState });
+
+  // Signaling for a one-to-one call goes to the device taking part in it, or
+  // to all of the user's devices until one has picked up
+  const targetOf = (active, userId) => {
+    if (active?.callerId === userId && active.callerSocketId) return active.callerSocketId;
+    if (active?.calleeId === userId && active.calleeSocketId) return active.calleeSocketId;
+    return userRoom(userId);
+  };
+
+  // Send undelivered messages to a freshly connected recipient and tell senders
+  const deliverQueuedMessages = async (socket) => {
+    const pending = await Message.find({
+      recipient: socket.userId,
+      delivered: false
+    })
+    .populate('sender', 'username')
+    .sort({ createdAt: 1 });
+
+    if (pending.length === 0) return;
+
+    for (const message of pending) {
+      socket.emit('chat_message', formatChatMessage(message, message.sender.username));
+    }
+
+    const deliveredAt = new Date().toISOString();
+    await Message.updateMany(
+      { _id: { $in: pending.map(message => message._id) } },
+      { $set: { delivered: true } }
+    );
+
+    for (const message of pending) {
+      notificationService.notifyUser(message.sender._id, 'message_delivered', {
+        messageId: message._id.toString(),
+        recipientId: socket.userId,
+        timestamp: deliveredAt
+      });
+    }
+
+    console.log(`📬 Delivered ${pending.length} queued messages to ${socket.username}`);
+  };
+
+  // Send a new message to the recipient's devices. It only counts as delivered
+  // once one of them acknowledges the chat_message event; otherwise it stays
+  // queued and deliverQueuedMessages sends it on their next connect.
+  const deliverMessage = (message, senderUsername, clientMessageId) => {
+    const messageId = message._id.toString();
+    const recipientId = message.recipient.toString();
+
+    io.to(userRoom(recipientId)).timeout(MESSAGE_ACK_TIMEOUT_MS).emit('chat_message', {
+      ...formatChatMessage(message, senderUsername),
+      clientMessageId
+    }, (error, acks) => {
+      if (!acks || acks.length === 0) {
+        console.log('📥 No device acknowledged message, left queued:', messageId);
+        return;
+      }
+
+      Message.updateOne({ _id: message._id, delivered: false }, { $set: { delivered: true } })
+        .then(({ modifiedCount }) => {
+          // Already flushed by deliverQueuedMessages, which told the sender
+          if (modifiedCount === 0) return;
+
+          notificationService.notifyUser(message.sender, 'message_delivered', {
+            messageId,
+            clientMessageId,
+            recipientId,
+            timestamp: new Date().toISOString()
+          });
+        })
+        .catch(error => {
+          console.error('❌ Failed to mark message delivered:', error.message);
+        });
+    });
+  };
+
+  // Put a missed call in the callee's inbox and tell them now if they are
+  // online; offline callees also get the missed_calls summary on next connect
+  const notifyMissedCall = async (call, callerUsername) => {
+    if (!MISSED_OUTCOMES.includes(call.outcome)) return;
+
+    await notificationService.record(call.callee, 'missed_call', {
+      actorId: call.caller._id || call.caller,
+      data: { callId: call.callId, roomId: call.roomId, outcome: call.outcome }
+    });
+
+    if (!await presence.isOnline(call.callee)) return;
+
+    notificationService.notifyUser(call.callee, 'call_missed', callService.formatMissedCall(call, callerUsername));
+    await callService.markMissedNotified(call);
+  };
+
+  // Send calls missed while offline to a freshly connected user
+  const deliverMissedCalls = async (socket) => {
+    const calls = await callService.takeUnnotifiedMissedCalls(socket.userId);
+    if (calls.length === 0) return;
+
+    socket.emit('missed_calls', {
+      calls: calls.map(call => callService.formatMissedCall(call)),
+      timestamp: new Date().toISOString()
+    });
+    console.log(`📵 Delivered ${calls.length} missed calls to ${socket.username}`);
+  };
+
+  // Forget a live call (only if it is in `onlyIfState`, when given) and stop
+  // its ring timer. Returns the removed state, or null if the call was already
+  // gone; when several nodes race to end a call only one of them gets it.
+  const clearActiveCall = async (callId, { onlyIfState } = {}) => {
+    const active = await callState.removeCall(callId, { onlyIfState });
+    if (!active) return null;
+
+    clearTimeout(ringTimers.get(callId));
+    ringTimers.delete(callId);
+    if (active.state === 'in_call') {
+      setInCall(active.callerId, false);
+      setInCall(active.calleeId, false);
+    }
+    return active;
+  };
+
+  // Stop ringing after CALL_RING_TIMEOUT_MS and record the call as missed,
+  // unless it was answered (on any node) in the meantime
+  const handleRingTimeout = async (callId) => {
+    ringTimers.delete(callId);
+
+    try {
+      const active = await clearActiveCall(callId, { onlyIfState: 'ringing' });
+      if (!active) return;
+
+      console.log('⏰ Call timed out without answer:', callId);
+
+      io.to(active.callerSocketId).emit('call_timeout', {
+        callId,
+        targetUserId: active.calleeId,
+        reason: 'No answer'
+      });
+
+      const call = await callService.endCall(callId, active.callerId);
+      if (call) {
+        await notifyMissedCall(call, active.callerUsername);
+      } else {
+        // Still stop the callee's ringing even if the record is gone
+        notificationService.notifyUser(active.calleeId, 'call_missed', {
+          callId,
+          callerId: active.callerId,
+          callerUsername: active.callerUsername,
+          outcome: 'missed'
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to record call timeout:', error.message);
+    }
+  };
+
+  // True if this socket's user and otherUserId have blocked each other either way
+  const isBlocked = (socket, otherUserId) => Boolean(otherUserId) && socket.blockedIds.has(otherUserId.toString());
+
+  // Record a user coming online or going offline and tell their friends.
+  // Either way they start out active and not in a call.
+  const publishPresence = async (userId, isOnline) => {
+    await User.updateOne({ _id: userId }, {
+      $set: { isOnline, lastSeen: new Date(), 'presence.idle': false, 'presence.inCall': false }
+    });
+    await presenceService.publishStatus(userId, isOnline ? 'user_online' : 'user_offline');
+  };
+
+  // The user is away once every one of their devices is idle
+  const refreshIdle = async (userId) => {
+    const sockets = await presence.getSockets(userId);
+    const allIdle = sockets.length > 0 && sockets.every(entry => entry.idle);
+    await presenceService.setFlag(userId, 'idle', allIdle);
+  };
+
+  // Online friends whose privacy settings let this user see them
+  const onlineFriendsOf = async (socket) => {
+    const user = await User.findById(socket.userId)
+      .select('friends')
+      .populate('friends', 'username privacy friends isOnline presence');
+    if (!user) return [];
+
+    const visible = user.friends.filter(friend =>
+      !isBlocked(socket, friend._id) &&
+      friend.isVisibleTo('lastSeenVisibility', socket.userId) &&
+      friend.presenceSummary().isOnline
+    );
+    const online = await Promise.all(visible.map(friend => presence.isOnline(friend._id)));
+
+    return visible
+      .filter((friend, index) => online[index])
+      .map(friend => ({
+        userId: friend._id.toString(),
+        username: friend.username,
+        ...friend.presenceSummary()
+      }));
+  };
+
+  // Store user connection (one entry per user, one socket per device)
+  const announceConnection = async (socket) => {
+    const { firstDevice } = await presence.addSocket(socket.userId, socket.id, { username: socket.username });
+    console.log(`✅ User connected: ${socket.username} (${socket.userId})${firstDevice ? '' : ' on another device'}`);
+
+    // Notify friends that user is online, unless another device already did;
+    // a new device also means the user is no longer away
+    if (firstDevice) {
+      await publishPresence(socket.userId, true);
+    } else {
+      await refreshIdle(socket.userId);
+    }
+
+    // Send the friends who are currently online to the newly connected device
+    socket.emit('online_users', { users: await onlineFriendsOf(socket) });
+  };
+
+  // One of a user's devices is gone: it disconnected, or the node it was
+  // connected to stopped. Hang up its calls, and once the user's last device
+  // is gone, tell their friends they are offline.
+  const handleSocketGone = ({ userId, username, socketId, lastDevice }) => {
+    // Leave the group room this device was in, or hang up the one-to-one call
+    // it was part of (or that was still ringing the user's last device) and
+    // tell the other party. Returns the hung-up call.
+    const leaveCall = async () => {
+      const activeCallId = await callState.activeCallOf(userId);
+      if (!activeCallId) return null;
+
+      const roomId = roomIdOf(activeCallId);
+      if (roomId) {
+        await leaveRoom(io, { userId, username, socketId }, roomId, { callState, onCallStateChange: setInCall });
+        return null;
+      }
+
+      const current = await callState.getCall(activeCallId);
+      const onThisDevice = current &&
+        (current.callerSocketId === socketId || current.calleeSocketId === socketId || lastDevice);
+      const active = onThisDevice && await clearActiveCall(activeCallId);
+      if (!active) return null;
+
+      const isCaller = active.callerId === userId;
+      const peerId = isCaller ? active.calleeId : active.callerId;
+      const peerSocketId = isCaller ? active.calleeSocketId : active.callerSocketId;
+      io.to(peerSocketId || userRoom(peerId)).emit('webrtc_end_call', {
+        callId: active.callId,
+        fromUserId: userId,
+        reason: 'Peer disconnected'
+      });
+      return active;
+    };
+
+    // Close the hung-up call, plus any calls left open once the last device is gone
+    const closeCalls = async () => {
+      const active = await leaveCall();
+      const calls = [];
+      if (active) calls.push(await callService.endCall(active.callId, userId));
+      if (lastDevice) calls.push(...await callService.endActiveCallsFor(userId));
+
+      await Promise.all(calls.filter(Boolean).map(async (call) => {
+        await callState.stopRecording(call.callId);
+        await notifyMissedCall(call);
+      }));
+    };
+
+    closeCalls().catch(error => {
+      console.error('❌ Failed to close calls on disconnect:', error.message);
+    });
+
+    if (!lastDevice) {
+      // The remaining devices may all be idle
+      refreshIdle(userId).catch(error => {
+        console.error('❌ Failed to update idle state:', error.message);
+      });
+      return;
+    }
+
+    releaseInterpreter(userId).catch(error => {
+      console.error('❌ Failed to release interpreter:', error.message);
+    });
+
+    // Notify friends that user went offline
+    publishPresence(userId, false).catch(error => {
+      console.error('❌ Failed to record user offline:', error.message);
+    });
+  };
+
+  // Keep this node registered, and clear up after the sockets of nodes that
+  // stopped without disconnecting them (with REDIS_URL set)
+  await presence.watchNodes({
+    onSocketGone: (gone) => {
+      console.log('🪦 Device lost with its node:', gone.username, gone.socketId);
+      handleSocketGone(gone);
+    },
+    onRejoined: () => Promise.all(Array.from(io.sockets.sockets.values()).map(announceConnection))
+  });
+
+  // Clear online flags left behind by a crash: anyone not connected to a
+  // running node is offline
+  const onlineIds = (await presence.onlineUsers()).map(user => user.userId);
+  User.updateMany({ isOnline: true, _id: { $nin: onlineIds } }, { $set: { isOnline: false } }).catch(error => {
+    console.error('❌ Failed to reset online flags:', error.message);
+  });
+
   io.on('connection', (socket) => {
     console.log('🔗 New client connected:', socket.id, 'User:', socket.username);
 
-    // Store user connection
-    connectedUsers.set(socket.userId, {
-      socketId: socket.id,
-      username: socket.username,
-      connectedAt: new Date()
+    // Channels for reaching all of this user's devices, or all sockets of
+    // one session, from any node
+    socket.join(userRoom(socket.userId));
+    if (socket.sessionId) socket.join(sessionRoom(socket.sessionId));
+
+    announceConnection(socket).catch(error => {
+      console.error('❌ Failed to record presence:', error.message);
     });
 
-    console.log(`✅ User connected: ${socket.username} (${socket.userId})`);
-    
-    // Notify others that user is online
-    socket.broadcast.emit('user_online', {
-      userId: socket.userId,
-      username: socket.username,
-      timestamp: new Date().toISOString()
+    // Auto-away: a device is idle after AWAY_AFTER_MS without sending any
+    // event. Clients can emit "presence_activity" on user input to stay active.
+    const markIdle = (idle) => {
+      socket.isIdle = idle;
+      presence.updateSocket(socket.userId, socket.id, { idle })
+        .then(() => refreshIdle(socket.userId))
+        .catch(error => {
+          console.error('❌ Failed to update idle state:', error.message);
+        });
+    };
+
+    const resetIdleTimer = () => {
+      clearTimeout(socket.idleTimer);
+      socket.idleTimer = setTimeout(() => markIdle(true), AWAY_AFTER_MS);
+      if (socket.isIdle) markIdle(false);
+    };
+
+    socket.onAny(resetIdleTimer);
+    resetIdleTimer();
+
+    // Choose a status (available, busy, away, dnd, invisible) and/or status text
+    socket.on('set_presence', async (data = {}, ack) => {
+      try {
+        const result = await presenceService.setUserStatus(socket.userId, data);
+        if (result.error) {
+          return reply(ack, { success: false, error: result.error });
+        }
+        reply(ack, { success: true, ...result.presence });
+      } catch (error) {
+        console.error('❌ Failed to set presence:', error.message);
+        reply(ack, { success: false, error: 'Failed to update status' });
+      }
     });
 
-    // Send current online users to the newly connected user
-    const onlineUsers = Array.from(connectedUsers.entries()).map(([userId, data]) => ({
-      userId,
-      username: data.username,
-      socketId: data.socketId
-    }));
-    
-    socket.emit('online_users', { users: onlineUsers });
+    // Flush messages that were queued while this user was offline
+    deliverQueuedMessages(socket).catch(error => {
+      console.error('❌ Failed to deliver queued messages:', error.message);
+    });
+
+    deliverMissedCalls(socket).catch(error => {
+      console.error('❌ Failed to deliver missed calls:', error.message);
+    });
+
+    // Badge count for the notification inbox
+    notificationService.unreadCount(socket.userId)
+      .then(count => socket.emit('notifications_unread', { count }))
+      .catch(error => {
+        console.error('❌ Failed to count unread notifications:', error.message);
+      });
 
     // Handle user online status (redundant but kept for compatibility)
     socket.on('user_online', (userData) => {
@@ -80,172 +488,474 @@ export function initializeWebSocketServer(server) {
       // User is already authenticated via middleware
     });
 
-    // Handle chat messages
-    socket.on('chat_message', (data) => {
+    // Handle chat messages: persist first, then relay if the recipient is online
+    socket.on('chat_message', async (data = {}, ack) => {
       console.log('💬 Chat message from:', socket.username, 'to:', data.recipientId);
-      
-      const recipientData = connectedUsers.get(data.recipientId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('chat_message', {
-          ...data,
-          senderId: socket.userId,
-          senderUsername: socket.username,
-          timestamp: new Date().toISOString()
+
+      const content = typeof data.content === 'string' ? data.content : data.text;
+
+      if (!mongoose.Types.ObjectId.isValid(data.recipientId) || typeof content !== 'string' || content.trim() === '') {
+        socket.emit('message_error', {
+          messageId: data.messageId,
+          recipientId: data.recipientId,
+          error: 'Recipient ID and message content are required'
         });
-        
-        // Send delivery confirmation
-        socket.emit('message_delivered', {
+        return reply(ack, { success: false, error: 'Recipient ID and message content are required' });
+      }
+
+      if (isBlocked(socket, data.recipientId)) {
+        socket.emit('message_error', {
           messageId: data.messageId,
           recipientId: data.recipientId,
-          timestamp: new Date().toISOString()
+          error: 'You cannot message this user'
         });
-      } else {
-        console.log('⚠️ Recipient not online:', data.recipientId);
+        return reply(ack, { success: false, error: 'You cannot message this user' });
       }
-    });
 
-    // Handle typing indicators
-    socket.on('typing_start', (data) => {
-      const recipientData = connectedUsers.get(data.recipientId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('typing_start', {
-          senderId: socket.userId,
-          senderUsername: socket.username,
-          timestamp: new Date().toISOString()
+      try {
+        // Saved as undelivered; deliverMessage flips the flag once a device acknowledges it
+        const message = await Message.create({
+          sender: socket.userId,
+          recipient: data.recipientId,
+          content
+        });
+
+        if (await presence.isOnline(data.recipientId)) {
+          deliverMessage(message, socket.username, data.messageId);
+        } else {
+          console.log('📥 Recipient not online, message queued:', data.recipientId);
+        }
+
+        // Acknowledge with the stored id so the client can replace its temporary one
+        const saved = {
+          clientMessageId: data.messageId,
+          messageId: message._id.toString(),
+          recipientId: data.recipientId,
+          delivered: message.delivered,
+          timestamp: message.createdAt.toISOString()
+        };
+        socket.emit('message_sent', saved);
+        reply(ack, { success: true, ...saved });
+
+        // Keep the sender's other devices in step with the conversation
+        socket.to(userRoom(socket.userId)).emit('chat_message', formatChatMessage(message, socket.username));
+      } catch (error) {
+        console.error('❌ Failed to save chat message:', error.message);
+        socket.emit('message_error', {
+          messageId: data.messageId,
+          recipientId: data.recipientId,
+          error: 'Failed to send message'
         });
+        reply(ack, { success: false, error: 'Failed to send message' });
       }
     });
 
-    socket.on('typing_end', (data) => {
-      const recipientData = connectedUsers.get(data.recipientId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('typing_end', {
-          senderId: socket.userId,
-          senderUsername: socket.username,
-          timestamp: new Date().toISOString()
+    // Handle read receipts: mark a conversation read up to a given message
+    socket.on('mark_read', async (data = {}, ack) => {
+      const { otherUserId, upToMessageId } = data;
+
+      if (!mongoose.Types.ObjectId.isValid(otherUserId) ||
+          (upToMessageId && !mongoose.Types.ObjectId.isValid(upToMessageId))) {
+        return reply(ack, { success: false, error: 'Valid otherUserId is required' });
+      }
+
+      try {
+        const result = await Message.markConversationRead(socket.userId, otherUserId, upToMessageId);
+
+        if (!result) {
+          return reply(ack, { success: false, error: 'Message not found in this conversation' });
+        }
+
+        if (result.messageIds.length > 0) {
+          notificationService.notifyUser(otherUserId, 'message_read', {
+            readerId: socket.userId,
+            upToMessageId: upToMessageId || result.messageIds[result.messageIds.length - 1],
+            messageIds: result.messageIds,
+            readAt: result.readAt.toISOString()
+          });
+        }
+
+        reply(ack, {
+          success: true,
+          markedCount: result.messageIds.length,
+          messageIds: result.messageIds,
+          readAt: result.readAt.toISOString()
         });
+      } catch (error) {
+        console.error('❌ Failed to mark messages read:', error.message);
+        reply(ack, { success: false, error: 'Failed to mark messages as read' });
       }
     });
 
+    // Handle typing indicators
+    socket.on('typing_start', (data) => {
+      if (isBlocked(socket, data.recipientId)) return;
+
+      notificationService.notifyUser(data.recipientId, 'typing_start', {
+        senderId: socket.userId,
+        senderUsername: socket.username,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.on('typing_end', (data) => {
+      if (isBlocked(socket, data.recipientId)) return;
+
+      notificationService.notifyUser(data.recipientId, 'typing_end', {
+        senderId: socket.userId,
+        senderUsername: socket.username,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // Video Call Handlers
-    socket.on('initiate_call', (callData) => {
+    socket.on('initiate_call', async (callData) => {
       console.log('📞 Call initiated:', socket.username, 'to:', callData.targetUsername);
-      
-      const recipientData = connectedUsers.get(callData.targetUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('incoming_call', {
-          callId: callData.callId,
+
+      // Call ids are always made here; one a client picks could collide with, and
+      // take over, another pair's call. The client's own id is echoed back so it
+      // can match the answer to its request.
+      const callId = callService.generateCallId();
+      const clientCallId = callData.callId || null;
+
+      if (isBlocked(socket, callData.targetUserId)) {
+        return socket.emit('call_rejected', {
+          callId,
+          clientCallId,
+          targetUsername: callData.targetUsername,
+          reason: 'User unavailable'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(callData.targetUserId)) {
+        return socket.emit('call_rejected', {
+          callId,
+          clientCallId,
+          targetUsername: callData.targetUsername,
+          reason: 'Invalid user'
+        });
+      }
+
+      let outcome;
+      try {
+        if (await callState.activeCallOf(socket.userId)) {
+          return socket.emit('call_rejected', {
+            callId,
+            clientCallId,
+            targetUsername: callData.targetUsername,
+            reason: 'You are already in a call'
+          });
+        }
+
+        const calleeOnline = await presence.isOnline(callData.targetUserId);
+        const calleeBusy = Boolean(await callState.activeCallOf(callData.targetUserId));
+        // Do-not-disturb users aren't rung; they get a missed call instead
+        const calleeDnd = calleeOnline && !calleeBusy &&
+          Boolean(await User.exists({ _id: callData.targetUserId, 'presence.status': 'dnd' }));
+        outcome = !calleeOnline ? 'offline' : calleeBusy ? 'busy' : calleeDnd ? 'missed' : 'ringing';
+
+        // Claim both users for the call. Either of them may have started
+        // another call, on any node, since the checks above.
+        if (outcome === 'ringing') {
+          const started = await callState.startCall({
+            callId,
+            callerId: socket.userId,
+            callerUsername: socket.username,
+            calleeId: callData.targetUserId,
+            roomId: callData.roomId,
+            state: 'ringing',
+            callerSocketId: socket.id,
+            // Set when one of the callee's devices answers
+            calleeSocketId: null
+          }, { ringTimeoutMs: CALL_RING_TIMEOUT_MS });
+          if (!started) outcome = 'busy';
+        }
+      } catch (error) {
+        console.error('❌ Failed to look up callee presence:', error.message);
+        return socket.emit('call_rejected', {
+          callId,
+          clientCallId,
+          targetUsername: callData.targetUsername,
+          reason: 'Call could not be placed'
+        });
+      }
+
+      try {
+        const call = await callService.startCall({
+          callId,
+          roomId: callData.roomId,
+          callerId: socket.userId,
+          calleeId: callData.targetUserId,
+          outcome
+        });
+        if (outcome !== 'ringing') await notifyMissedCall(call, socket.username);
+      } catch (error) {
+        console.error('❌ Failed to record call:', error.message);
+      }
+
+      if (outcome === 'ringing') {
+        ringTimers.set(callId, setTimeout(() => handleRingTimeout(callId), CALL_RING_TIMEOUT_MS));
+
+        // Ring every device the callee is signed in on
+        notificationService.notifyUser(callData.targetUserId, 'incoming_call', {
+          callId,
           roomId: callData.roomId,
           callerId: socket.userId,
           callerName: socket.username,
           callerUsername: socket.username,
+          ringTimeoutMs: CALL_RING_TIMEOUT_MS,
           timestamp: new Date().toISOString()
         });
+        socket.emit('call_ringing', {
+          callId,
+          clientCallId,
+          targetUserId: callData.targetUserId,
+          ringTimeoutMs: CALL_RING_TIMEOUT_MS
+        });
         console.log('✅ Call invitation sent to:', callData.targetUsername);
+      } else if (outcome === 'missed') {
+        console.log('🔕 Recipient in do not disturb:', callData.targetUsername);
+        socket.emit('call_rejected', {
+          callId,
+          clientCallId,
+          targetUsername: callData.targetUsername,
+          reason: 'dnd'
+        });
+      } else if (outcome === 'busy') {
+        console.log('📵 Recipient busy in another call:', callData.targetUsername);
+        socket.emit('call_rejected', {
+          callId,
+          clientCallId,
+          targetUsername: callData.targetUsername,
+          reason: 'busy'
+        });
       } else {
         console.log('⚠️ Recipient not online for call:', callData.targetUsername);
         socket.emit('call_rejected', {
-          callId: callData.callId,
+          callId,
+          clientCallId,
           targetUsername: callData.targetUsername,
           reason: 'User not online'
         });
       }
     });
 
-    socket.on('accept_call', (data) => {
+    socket.on('accept_call', async (data = {}, ack) => {
       console.log('✅ Call accepted by:', socket.username);
       console.log('📞 Accept call data:', data);
-      
-      // Find the caller's socket and notify them
-      const callerEntry = Array.from(connectedUsers.entries()).find(
-        ([userId, userData]) => userId === data.callerId
-      );
-      
-      if (callerEntry) {
-        const [callerId, callerData] = callerEntry;
-        const responseData = {
-          callId: data.callId,
-          roomId: data.roomId,
-          targetUserId: socket.userId,  // ID of the person who accepted
-          targetUsername: socket.username  // Username of the person who accepted
-        };
-        console.log('✅ Sending call_accepted to caller:', callerId, responseData);
-        io.to(callerData.socketId).emit('call_accepted', responseData);
-      } else {
-        console.error('❌ Caller not found in connectedUsers:', data.callerId);
-        console.log('📋 Connected users:', Array.from(connectedUsers.keys()));
+
+      // Only the callee can answer, and only while the call is still ringing;
+      // the caller is taken from the call itself, never from the client
+      let answer;
+      try {
+        answer = await callState.answerCall(data.callId, socket.userId, socket.id);
+      } catch (error) {
+        console.error('❌ Failed to answer call:', error.message);
+        return reply(ack, { success: false, error: 'Failed to answer call' });
+      }
+
+      const { call: active, answered } = answer;
+      if (!active || active.calleeId !== socket.userId) {
+        return reply(ack, { success: false, error: 'Call not found' });
+      }
+      if (!answered) {
+        socket.emit('call_handled_elsewhere', { callId: data.callId, action: 'accepted' });
+        return reply(ack, { success: false, error: 'Call already answered' });
+      }
+
+      // The ring timer runs on the caller's node; if that is another node it
+      // finds the call answered and leaves it alone
+      clearTimeout(ringTimers.get(data.callId));
+      ringTimers.delete(data.callId);
+      setInCall(active.callerId, true);
+      setInCall(active.calleeId, true);
+
+      // Stop the callee's other devices ringing
+      socket.to(userRoom(socket.userId)).emit('call_handled_elsewhere', {
+        callId: data.callId,
+        action: 'accepted'
+      });
+      reply(ack, { success: true });
+
+      try {
+        await callService.answerCall(data.callId, socket.userId);
+      } catch (error) {
+        console.error('❌ Failed to record call answer:', error.message);
       }
+      
+      // Notify the caller on the device that placed the call
+      const responseData = {
+        callId: data.callId,
+        roomId: active.roomId,
+        targetUserId: socket.userId,  // ID of the person who accepted
+        targetUsername: socket.username  // Username of the person who accepted
+      };
+      console.log('✅ Sending call_accepted to caller:', active.callerId, responseData);
+      io.to(targetOf(active, active.callerId)).emit('call_accepted', responseData);
     });
 
-    socket.on('reject_call', (data) => {
+    socket.on('reject_call', async (data = {}, ack) => {
       console.log('❌ Call rejected:', data.callId);
-      // Find the caller's socket and notify them
-      const callerEntry = Array.from(connectedUsers.entries()).find(
-        ([userId, userData]) => userId === data.callerId
-      );
-      
-      if (callerEntry) {
-        const [callerId, callerData] = callerEntry;
-        io.to(callerData.socketId).emit('call_rejected', {
-          callId: data.callId,
-          targetUsername: socket.username,
-          reason: 'Call rejected by user'
-        });
+
+      // Only a ringing call can be rejected, by its callee; another device may have answered it
+      let active;
+      let rejected = null;
+      try {
+        active = await callState.getCall(data.callId);
+        if (active?.calleeId === socket.userId) {
+          rejected = await clearActiveCall(data.callId, { onlyIfState: 'ringing' });
+        }
+      } catch (error) {
+        console.error('❌ Failed to reject call:', error.message);
+        return reply(ack, { success: false, error: 'Failed to reject call' });
+      }
+
+      if (!active || active.calleeId !== socket.userId) {
+        return reply(ack, { success: false, error: 'Call not found' });
+      }
+      if (!rejected) {
+        socket.emit('call_handled_elsewhere', { callId: data.callId, action: 'accepted' });
+        return reply(ack, { success: false, error: 'Call already answered' });
       }
+
+      socket.to(userRoom(socket.userId)).emit('call_handled_elsewhere', {
+        callId: data.callId,
+        action: 'rejected'
+      });
+      reply(ack, { success: true });
+
+      try {
+        await callService.rejectCall(data.callId, socket.userId);
+      } catch (error) {
+        console.error('❌ Failed to record call rejection:', error.message);
+      }
+
+      io.to(targetOf(rejected, rejected.callerId)).emit('call_rejected', {
+        callId: data.callId,
+        targetUsername: socket.username,
+        reason: 'Call rejected by user'
+      });
     });
 
     // WebRTC Signaling
-    socket.on('webrtc_offer', (data) => {
-      console.log('📨 WebRTC offer for call:', data.callId);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('webrtc_offer', {
+    const forwardSignal = async (eventName, data) => {
+      try {
+        const active = await callState.getCall(data.callId);
+        io.to(targetOf(active, data.toUserId)).emit(eventName, {
           ...data,
           fromUserId: socket.userId
         });
+      } catch (error) {
+        console.error(`❌ Failed to forward ${eventName}:`, error.message);
       }
+    };
+
+    socket.on('webrtc_offer', (data) => {
+      console.log('📨 WebRTC offer for call:', data.callId);
+      forwardSignal('webrtc_offer', data);
     });
 
     socket.on('webrtc_answer', (data) => {
       console.log('📨 WebRTC answer for call:', data.callId);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('webrtc_answer', {
-          ...data,
-          fromUserId: socket.userId
-        });
-      }
+      forwardSignal('webrtc_answer', data);
     });
 
     socket.on('webrtc_ice_candidate', (data) => {
       console.log('🧊 ICE candidate for call:', data.callId);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('webrtc_ice_candidate', {
-          ...data,
-          fromUserId: socket.userId
-        });
-      }
+      forwardSignal('webrtc_ice_candidate', data);
     });
 
-    socket.on('webrtc_end_call', (data) => {
+    socket.on('webrtc_end_call', async (data) => {
       console.log('📞 Call ended:', data.callId);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('webrtc_end_call', {
-          ...data,
-          fromUserId: socket.userId
-        });
+
+      let active = null;
+      try {
+        active = await callState.getCall(data.callId);
+        if (active && (active.callerId === socket.userId || active.calleeId === socket.userId)) {
+          await clearActiveCall(data.callId);
+        }
+        const recording = await callState.getRecording(data.callId);
+        if (recording?.participantIds.includes(socket.userId)) {
+          await callState.stopRecording(data.callId);
+        }
+      } catch (error) {
+        console.error('❌ Failed to clear call state:', error.message);
       }
+
+      try {
+        // Hanging up before the callee answered records a missed call for them
+        const call = await callService.endCall(data.callId, socket.userId);
+        if (call) await notifyMissedCall(call, socket.username);
+      } catch (error) {
+        console.error('❌ Failed to record call end:', error.message);
+      }
+
+      // A callee still ringing on several devices stops ringing on all of them
+      io.to(active?.state === 'ringing' ? userRoom(data.toUserId) : targetOf(active, data.toUserId)).emit('webrtc_end_call', {
+        ...data,
+        fromUserId: socket.userId
+      });
     });
 
+    // Group call rooms (join/leave and mesh signaling)
+    registerRoomHandlers(io, socket, { isBlocked, callState, onCallStateChange: setInCall });
+
+    // Interpreter requests (accept/decline)
+    registerInterpreterHandlers(io, socket);
+
+    // A newly connected interpreter may be able to take a waiting request
+    dispatchInterpreterQueue();
+
     // Caption sharing for AI services
-    socket.on('send_caption', (data) => {
+    // Caption languages: `language` is what this user wants to read, and
+    // `spokenLanguage` what their own captions are in (defaults to `language`)
+    socket.on('set_caption_language', (data = {}, ack) => {
+      socket.captionLanguage = captionTranslator.normalizeLanguage(data.language);
+      socket.spokenLanguage = captionTranslator.normalizeLanguage(data.spokenLanguage);
+
+      // Senders may be on another node, so the reading language is kept with presence
+      presence.updateSocket(socket.userId, socket.id, { captionLanguage: socket.captionLanguage }).catch(error => {
+        console.error('❌ Failed to save caption language:', error.message);
+      });
+
+      reply(ack, {
+        success: true,
+        language: socket.captionLanguage,
+        spokenLanguage: socket.spokenLanguage || socket.captionLanguage
+      });
+    });
+
+    socket.on('send_caption', async (data) => {
       console.log('💬 Caption sent to:', data.toUserId, 'Type:', data.caption?.type);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('receive_caption', {
-          caption: data.caption,
+      if (isBlocked(socket, data.toUserId)) return;
+
+      callState.getRecording(data.callId)
+        .then(recording => {
+          if (!recording?.participantIds.includes(socket.userId)) return;
+          return transcriptService.recordCaption(recording, socket.userId, data.caption);
+        })
+        .catch(error => {
+          console.error('❌ Failed to save caption:', error.message);
+        });
+
+      // Each of the recipient's devices may have asked for a different language
+      const from = data.caption?.language || socket.spokenLanguage || socket.captionLanguage;
+      const translations = new Map();
+
+      let recipientSockets = [];
+      try {
+        recipientSockets = await presence.getSockets(data.toUserId);
+      } catch (error) {
+        console.error('❌ Failed to look up caption recipient:', error.message);
+      }
+
+      for (const { socketId, captionLanguage: to } of recipientSockets) {
+        if (!translations.has(to)) {
+          translations.set(to, captionTranslator.translateCaption(data.caption, { from, to }));
+        }
+
+        io.to(socketId).emit('receive_caption', {
+          caption: await translations.get(to),
           callId: data.callId,
           fromUserId: socket.userId,
           fromUsername: socket.username
@@ -253,32 +963,71 @@ export function initializeWebSocketServer(server) {
       }
     });
 
-    // Friend request notifications
-    socket.on('friend_request_sent', (data) => {
-      console.log('📬 Friend request sent to:', data.toUserId);
-      const recipientData = connectedUsers.get(data.toUserId);
-      if (recipientData) {
-        io.to(recipientData.socketId).emit('new_friend_request', {
-          requestId: data.requestId,
-          fromUser: data.fromUser,
+    // Caption recording consent: captions are saved only while both participants agree
+    socket.on('caption_recording_consent', async (data = {}, ack) => {
+      try {
+        const update = data.consent
+          ? { $addToSet: { captionConsent: socket.userId } }
+          : { $pull: { captionConsent: socket.userId } };
+
+        const call = await Call.findOneAndUpdate(
+          {
+            callId: data.callId,
+            endedAt: null,
+            $or: [{ caller: socket.userId }, { callee: socket.userId }]
+          },
+          update,
+          { new: true }
+        );
+
+        if (!call) {
+          return reply(ack, { success: false, error: 'Call not found' });
+        }
+
+        const recording = call.isRecordingCaptions();
+        if (recording) {
+          await callState.setRecording(call.callId, {
+            _id: call._id,
+            participantIds: [call.caller, call.callee].map(id => id.toString())
+          });
+        } else {
+          await callState.stopRecording(call.callId);
+        }
+
+        const status = {
+          callId: call.callId,
+          recording,
+          consentedUserIds: call.captionConsent.map(id => id.toString()),
           timestamp: new Date().toISOString()
-        });
+        };
+
+        for (const participantId of [call.caller, call.callee]) {
+          notificationService.notifyUser(participantId, 'caption_recording_status', status);
+        }
+
+        reply(ack, { success: true, ...status });
+      } catch (error) {
+        console.error('❌ Failed to update caption consent:', error.message);
+        reply(ack, { success: false, error: 'Failed to update caption recording consent' });
       }
     });
 
     // Handle disconnection
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
       console.log('🔴 Client disconnected:', socket.id, 'User:', socket.username, 'Reason:', reason);
       
       if (socket.userId) {
-        connectedUsers.delete(socket.userId);
-        
-        // Notify others that user went offline
-        socket.broadcast.emit('user_offline', {
-          userId: socket.userId,
-          username: socket.username,
-          timestamp: new Date().toISOString()
-        });
+        clearTimeout(socket.idleTimer);
+
+        // The user stays online while any other device is still connected
+        let lastDevice = true;
+        try {
+          ({ lastDevice } = await presence.removeSocket(socket.userId, socket.id));
+        } catch (error) {
+          console.error('❌ Failed to update presence on disconnect:', error.message);
+        }
+
+        handleSocketGone({ userId: socket.userId, username: socket.username, socketId: socket.id, lastDevice });
       }
     });
 
@@ -288,5 +1037,5 @@ export function initializeWebSocketServer(server) {
     });
   });
 
-  return { io, connectedUsers };
+  return { io, presence };
 }
\ No newline at end of file
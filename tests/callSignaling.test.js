@@ -0,0 +1,125 @@
+// Only the callee can answer or reject a ringing call, and the answer always
+// goes to the call's own caller: a real socket server and socket.io clients,
+// with the database stubbed.
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { objectId, startServer, connectAs, nextEvent } from './helpers.js';
+import User from '../src/models/User.js';
+import callService from '../src/services/callService.js';
+
+describe('answering calls', () => {
+  const alice = objectId();
+  const bob = objectId();
+  const carol = objectId();
+
+  let io;
+  const clients = {};
+  // Every call event carol receives; she is never called, so it should stay empty
+  const carolEvents = [];
+
+  before(async () => {
+    let url;
+    ({ io, url } = await startServer({}));
+
+    clients.alice = await connectAs(url, alice, 'alice');
+    clients.bob = await connectAs(url, bob, 'bob');
+    clients.carol = await connectAs(url, carol, 'carol');
+    clients.carol.onAny((eventName, payload) => carolEvents.push({ eventName, payload }));
+  });
+
+  after(async () => {
+    for (const client of Object.values(clients)) client.disconnect();
+    await new Promise(resolve => io.close(resolve));
+    mock.restoreAll();
+  });
+
+  beforeEach((t) => {
+    t.mock.method(User, 'exists', async () => null);
+    t.mock.method(callService, 'startCall', async () => ({}));
+    t.mock.method(callService, 'endCall', async () => null);
+  });
+
+  // Alice calls bob; resolves with the call id once bob's device is ringing
+  const ringBob = async () => {
+    const incoming = nextEvent(clients.bob, 'incoming_call');
+    clients.alice.emit('initiate_call', { targetUserId: bob, targetUsername: 'bob', roomId: 'room-1' });
+    const { callId } = await incoming;
+    return callId;
+  };
+
+  const hangUp = (callId) => {
+    clients.alice.emit('webrtc_end_call', { callId, toUserId: bob });
+    return nextEvent(clients.bob, 'webrtc_end_call');
+  };
+
+  it('sends the answer to the caller, whoever the client names', async (t) => {
+    const answerCall = t.mock.method(callService, 'answerCall', async () => null);
+    const callId = await ringBob();
+
+    const accepted = nextEvent(clients.alice, 'call_accepted');
+    const result = await clients.bob.emitWithAck('accept_call', { callId, callerId: carol });
+
+    assert.equal(result.success, true);
+    const event = await accepted;
+    assert.equal(event.callId, callId);
+    assert.equal(event.roomId, 'room-1');
+    assert.equal(event.targetUserId, bob);
+    assert.deepEqual(answerCall.mock.calls[0].arguments, [callId, bob]);
+
+    await hangUp(callId);
+  });
+
+  it("doesn't let anyone but the callee answer", async (t) => {
+    const answerCall = t.mock.method(callService, 'answerCall', async () => null);
+    const callId = await ringBob();
+
+    const result = await clients.carol.emitWithAck('accept_call', { callId, callerId: alice });
+
+    assert.equal(result.success, false);
+    assert.equal(answerCall.mock.callCount(), 0);
+
+    await hangUp(callId);
+  });
+
+  it('turns away a second answer', async (t) => {
+    t.mock.method(callService, 'answerCall', async () => null);
+    const callId = await ringBob();
+    await clients.bob.emitWithAck('accept_call', { callId });
+
+    const handled = nextEvent(clients.bob, 'call_handled_elsewhere');
+    const result = await clients.bob.emitWithAck('accept_call', { callId });
+
+    assert.equal(result.success, false);
+    assert.equal((await handled).callId, callId);
+
+    await hangUp(callId);
+  });
+
+  it('sends the rejection to the caller, whoever the client names', async (t) => {
+    const rejectCall = t.mock.method(callService, 'rejectCall', async () => null);
+    const callId = await ringBob();
+
+    const rejected = nextEvent(clients.alice, 'call_rejected');
+    const result = await clients.bob.emitWithAck('reject_call', { callId, callerId: carol });
+
+    assert.equal(result.success, true);
+    assert.equal((await rejected).callId, callId);
+    assert.deepEqual(rejectCall.mock.calls[0].arguments, [callId, bob]);
+  });
+
+  it("doesn't let anyone but the callee reject", async (t) => {
+    const rejectCall = t.mock.method(callService, 'rejectCall', async () => null);
+    const callId = await ringBob();
+
+    const result = await clients.carol.emitWithAck('reject_call', { callId, callerId: alice });
+
+    assert.equal(result.success, false);
+    assert.equal(rejectCall.mock.callCount(), 0);
+
+    await hangUp(callId);
+  });
+
+  it("doesn't send call events to anyone else", () => {
+    assert.deepEqual(carolEvents.filter(({ eventName }) => eventName.startsWith('call')), []);
+  });
+});
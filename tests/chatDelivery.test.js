@@ -0,0 +1,83 @@
+// Chat messages only count as delivered once one of the recipient's devices
+// acknowledges them: a real socket server and socket.io clients, with the
+// database stubbed.
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { objectId, startServer, connectAs, nextEvent } from './helpers.js';
+import Message from '../src/models/Message.js';
+
+// Longer than MESSAGE_ACK_TIMEOUT_MS in tests/env.js
+const waitForAckTimeout = () => new Promise(resolve => setTimeout(resolve, 500));
+
+describe('chat message delivery', () => {
+  const alice = objectId();
+  const bob = objectId();
+
+  let io;
+  const clients = {};
+
+  before(async () => {
+    let url;
+    ({ io, url } = await startServer({}));
+
+    clients.alice = await connectAs(url, alice, 'alice');
+    clients.bob = await connectAs(url, bob, 'bob');
+  });
+
+  after(async () => {
+    for (const client of Object.values(clients)) client.disconnect();
+    await new Promise(resolve => io.close(resolve));
+    mock.restoreAll();
+  });
+
+  const stubMessages = (t) => {
+    const create = t.mock.method(Message, 'create', async (fields) => {
+      const message = new Message(fields);
+      message.createdAt = new Date();
+      return message;
+    });
+    const updateOne = t.mock.method(Message, 'updateOne', async () => ({ modifiedCount: 1 }));
+    return { create, updateOne };
+  };
+
+  it('marks a message delivered when the recipient acknowledges it', async (t) => {
+    const { create, updateOne } = stubMessages(t);
+    clients.bob.once('chat_message', (message, ack) => ack());
+
+    const delivered = nextEvent(clients.alice, 'message_delivered');
+    const saved = await clients.alice.emitWithAck('chat_message', { recipientId: bob, content: 'hi', messageId: 'tmp-1' });
+
+    assert.equal(saved.success, true);
+    assert.equal(create.mock.calls[0].arguments[0].delivered, undefined);
+    assert.equal(saved.delivered, false);
+
+    const event = await delivered;
+    assert.equal(event.clientMessageId, 'tmp-1');
+    assert.equal(event.messageId, saved.messageId);
+    assert.equal(event.recipientId, bob);
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.ok(filter._id instanceof mongoose.Types.ObjectId);
+    assert.equal(filter._id.toString(), saved.messageId);
+    assert.equal(filter.delivered, false);
+    assert.deepEqual(update, { $set: { delivered: true } });
+  });
+
+  it('leaves a message queued when no device acknowledges it', async (t) => {
+    const { updateOne } = stubMessages(t);
+    const received = nextEvent(clients.bob, 'chat_message');
+    let deliveredEvents = 0;
+    const countDelivered = () => { deliveredEvents += 1; };
+    clients.alice.on('message_delivered', countDelivered);
+    t.after(() => clients.alice.off('message_delivered', countDelivered));
+
+    const saved = await clients.alice.emitWithAck('chat_message', { recipientId: bob, content: 'hello?', messageId: 'tmp-2' });
+    assert.equal(saved.success, true);
+    assert.equal((await received).content, 'hello?');
+
+    await waitForAckTimeout();
+    assert.equal(updateOne.mock.callCount(), 0);
+    assert.equal(deliveredEvents, 0);
+  });
+});
@@ -0,0 +1,5 @@
+// Environment for the code under test. Imported before anything from src/,
+// since modules there read their settings when they load.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// Unacknowledged chat messages are left queued after this long
+process.env.MESSAGE_ACK_TIMEOUT_MS = '300';
@@ -0,0 +1,150 @@
+// Friend request routes reach the other user's connected devices in real time:
+// a real socket server and socket.io clients, with the database stubbed.
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { objectId, query, tokenFor, startServer, connectAs, nextEvent } from './helpers.js';
+import User from '../src/models/User.js';
+import FriendRequest from '../src/models/FriendRequest.js';
+import notificationService from '../src/services/notificationService.js';
+import friendRoutes from '../src/routes/friends.js';
+
+const makeUser = (id, username) => {
+  const user = new User({ _id: id, username, email: `${username}@example.com`, password: 'secret123' });
+  user.save = async () => user;
+  return user;
+};
+
+describe('friend notifications over sockets', () => {
+  const alice = objectId();
+  const bob = objectId();
+  const carol = objectId();
+  const users = {
+    [alice]: makeUser(alice, 'alice'),
+    [bob]: makeUser(bob, 'bob'),
+    [carol]: makeUser(carol, 'carol')
+  };
+
+  let server;
+  let io;
+  const clients = {};
+  // Every event carol receives; she is never involved, so it should stay empty
+  const carolEvents = [];
+
+  before(async () => {
+    let url;
+    ({ server, io, url } = await startServer({ '/api/friends': friendRoutes }));
+
+    clients.alice = await connectAs(url, alice, 'alice');
+    // Alice's second device
+    clients.alicePhone = await connectAs(url, alice, 'alice');
+    clients.bob = await connectAs(url, bob, 'bob');
+    clients.carol = await connectAs(url, carol, 'carol');
+    clients.carol.onAny((eventName, payload) => carolEvents.push({ eventName, payload }));
+  });
+
+  after(async () => {
+    for (const client of Object.values(clients)) client.disconnect();
+    await new Promise(resolve => io.close(resolve));
+    mock.restoreAll();
+  });
+
+  beforeEach((t) => {
+    t.mock.method(User, 'findById', (id) => query(users[id.toString()] || null));
+  });
+
+  it('tells the recipient about a new friend request', async (t) => {
+    t.mock.method(User, 'isBlockedBetween', async () => false);
+    t.mock.method(FriendRequest, 'findOne', () => query(null));
+    t.mock.method(FriendRequest.prototype, 'save', async function() { return this; });
+    t.mock.method(FriendRequest.prototype, 'populate', async function() { return this; });
+    const notifyUser = t.mock.method(notificationService, 'notifyUser');
+
+    const received = nextEvent(clients.bob, 'new_friend_request');
+    const res = await request(server)
+      .post('/api/friends/requests/send')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ userId: bob });
+
+    assert.equal(res.status, 201);
+    const event = await received;
+    assert.equal(event.fromUser.id, alice);
+    assert.equal(event.fromUser.username, 'alice');
+    assert.equal(event.requestId, res.body.request.id);
+    const [call] = notifyUser.mock.calls.filter(({ arguments: args }) => args[1] === 'new_friend_request');
+    assert.equal(call.arguments[0], bob);
+  });
+
+  it('tells the sender their request was accepted', async (t) => {
+    const friendRequest = new FriendRequest({ fromUser: alice, toUser: bob, status: 'pending' });
+    friendRequest.save = async () => friendRequest;
+    friendRequest.fromUser = users[alice];
+    friendRequest.toUser = users[bob];
+    t.mock.method(FriendRequest, 'findById', () => query(friendRequest));
+
+    const received = nextEvent(clients.alice, 'friend_request_accepted');
+    const res = await request(server)
+      .post('/api/friends/requests/accept')
+      .set('Authorization', `Bearer ${tokenFor(bob)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 200);
+    const event = await received;
+    assert.equal(event.requestId, friendRequest._id.toString());
+    assert.equal(event.newFriend.id, bob);
+    assert.equal(event.newFriend.username, 'bob');
+  });
+
+  it('tells the sender their request was rejected', async (t) => {
+    const friendRequest = new FriendRequest({ fromUser: alice, toUser: bob, status: 'pending' });
+    friendRequest.save = async () => friendRequest;
+    t.mock.method(FriendRequest, 'findById', () => query(friendRequest));
+
+    const received = nextEvent(clients.alice, 'friend_request_rejected');
+    const res = await request(server)
+      .post('/api/friends/requests/reject')
+      .set('Authorization', `Bearer ${tokenFor(bob)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 200);
+    const event = await received;
+    assert.equal(event.requestId, friendRequest._id.toString());
+    assert.equal(event.userId, bob);
+  });
+
+  it('tells the recipient a request was cancelled', async (t) => {
+    const friendRequest = new FriendRequest({ fromUser: alice, toUser: bob, status: 'pending' });
+    t.mock.method(FriendRequest, 'findById', () => query(friendRequest));
+    t.mock.method(FriendRequest, 'findByIdAndDelete', () => query(friendRequest));
+
+    const received = nextEvent(clients.bob, 'friend_request_cancelled');
+    const res = await request(server)
+      .post('/api/friends/requests/cancel')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 200);
+    const event = await received;
+    assert.equal(event.requestId, friendRequest._id.toString());
+    assert.equal(event.userId, alice);
+  });
+
+  it("updates the removed friend and the remover's other devices", async (t) => {
+    t.mock.method(FriendRequest, 'deleteMany', () => query({ deletedCount: 0 }));
+
+    const removedFriend = nextEvent(clients.bob, 'friend_removed');
+    const otherDevice = nextEvent(clients.alicePhone, 'friend_removed');
+    const res = await request(server)
+      .post('/api/friends/remove')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ friendId: bob });
+
+    assert.equal(res.status, 200);
+    assert.equal((await removedFriend).userId, alice);
+    assert.equal((await otherDevice).userId, bob);
+  });
+
+  it("doesn't send friend events to anyone else", () => {
+    assert.deepEqual(carolEvents.filter(({ eventName }) => eventName.startsWith('friend') || eventName === 'new_friend_request'), []);
+  });
+});
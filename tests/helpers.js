@@ -0,0 +1,103 @@
+// Shared setup for the route and socket tests. There is no database in tests:
+// model calls are stubbed per test, and any call that isn't fails straight away
+// instead of waiting for a connection.
+import './env.js';
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { mock } from 'node:test';
+import { io as connect } from 'socket.io-client';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import Message from '../src/models/Message.js';
+import InterpreterRequest from '../src/models/InterpreterRequest.js';
+import notificationService from '../src/services/notificationService.js';
+import callService from '../src/services/callService.js';
+import { initializeWebSocketServer } from '../src/websocket/server.js';
+
+mongoose.set('bufferCommands', false);
+
+// The app logs every request to stdout, which the test runner also reads
+// results from; TEST_LOGS=1 keeps the logs. Errors still go to stderr.
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+export const objectId = () => new mongoose.Types.ObjectId().toString();
+
+// Stand-in for a mongoose query: chainable like one, resolves to `result`
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  for (const method of ['select', 'populate', 'sort', 'skip', 'limit', 'lean']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Every access token's session counts as active
+export const stubSessions = () => {
+  mock.method(Session, 'findById', () => query({ isActive: () => true }));
+};
+
+// Access token for a user, bound to a (stubbed) session
+export const tokenFor = (userId, username = `user-${userId.slice(-4)}`) => jwt.sign(
+  { userId, username, sid: objectId() },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// Express app with JSON bodies and the given routers mounted
+export const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  return app;
+};
+
+const EVENT_TIMEOUT_MS = 2000;
+
+// HTTP server with the given routers plus the real socket server, listening on
+// a free port. Stubs the database work the socket server does on start and on
+// connect; restore with mock.restoreAll().
+export const startServer = async (routes) => {
+  stubSessions();
+  mock.method(User, 'blockedIdsFor', async () => new Set());
+  mock.method(User, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+  mock.method(User, 'findByIdAndUpdate', () => query(null));
+  mock.method(InterpreterRequest, 'find', () => query([]));
+  mock.method(Message, 'find', () => query([]));
+  mock.method(callService, 'takeUnnotifiedMissedCalls', async () => []);
+  // Inbox entries are stored in MongoDB; only the live events are under test
+  mock.method(notificationService, 'record', async () => null);
+  mock.method(notificationService, 'dismiss', async () => 0);
+
+  const server = http.createServer(createApp(routes));
+  const { io } = await initializeWebSocketServer(server);
+  await new Promise(resolve => server.listen(0, resolve));
+
+  return { server, io, url: `http://localhost:${server.address().port}` };
+};
+
+// Socket.io client signed in as a user, resolved once connected
+export const connectAs = (url, userId, username) => new Promise((resolve, reject) => {
+  const client = connect(url, {
+    auth: { token: tokenFor(userId, username) },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+// Resolve with the next `eventName` the client receives
+export const nextEvent = (client, eventName) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${eventName} event received`)), EVENT_TIMEOUT_MS);
+  client.once(eventName, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
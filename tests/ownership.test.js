@@ -0,0 +1,174 @@
+// Messages and friend requests can only be read or acted on by the users they
+// belong to, whatever ids the client sends.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { objectId, query, stubSessions, tokenFor, createApp } from './helpers.js';
+import User from '../src/models/User.js';
+import Message from '../src/models/Message.js';
+import FriendRequest from '../src/models/FriendRequest.js';
+import notificationService from '../src/services/notificationService.js';
+import messageRoutes from '../src/routes/messages.js';
+import friendRoutes from '../src/routes/friends.js';
+
+const app = createApp({ '/api/messages': messageRoutes, '/api/friends': friendRoutes });
+
+const makeUser = (id, username) => {
+  const user = new User({ _id: id, username, email: `${username}@example.com`, password: 'secret123' });
+  mock.method(user, 'save', async () => user);
+  return user;
+};
+
+describe('messages', () => {
+  const alice = objectId();
+  const bob = objectId();
+
+  beforeEach(() => stubSessions());
+  afterEach(() => mock.restoreAll());
+
+  it('requires an access token', async () => {
+    const res = await request(app).get(`/api/messages/user/${alice}`);
+
+    assert.equal(res.status, 401);
+  });
+
+  it("won't return another user's messages", async () => {
+    const find = mock.method(Message, 'find', () => query([]));
+
+    const res = await request(app)
+      .get(`/api/messages/user/${bob}`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`);
+
+    assert.equal(res.status, 403);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("returns the user's own messages", async () => {
+    const message = {
+      _id: objectId(),
+      sender: { _id: bob, username: 'bob' },
+      recipient: { _id: alice, username: 'alice' },
+      content: 'hi',
+      createdAt: new Date()
+    };
+    mock.method(Message, 'find', () => query([message]));
+
+    const res = await request(app)
+      .get(`/api/messages/user/${alice}`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.messages.length, 1);
+    assert.equal(res.body.messages[0].sender, 'them');
+  });
+
+  it('only reads conversations the requester is part of', async () => {
+    const find = mock.method(Message, 'find', () => query([]));
+
+    const res = await request(app)
+      .get(`/api/messages/conversation/${bob}`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`);
+
+    assert.equal(res.status, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    for (const branch of filter.$or) {
+      assert.ok([branch.sender, branch.recipient].includes(alice), 'every branch involves the requester');
+    }
+  });
+
+  it('marks messages read for the requester, not for a user named in the body', async () => {
+    const markRead = mock.method(Message, 'markConversationRead', async () => ({ messageIds: [], readAt: new Date() }));
+
+    const res = await request(app)
+      .post('/api/messages/read')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ otherUserId: bob, readerId: bob });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(markRead.mock.calls[0].arguments.slice(0, 2), [alice, bob]);
+  });
+});
+
+describe('friend requests', () => {
+  const alice = objectId();
+  const bob = objectId();
+  const mallory = objectId();
+  let friendRequest;
+
+  beforeEach(() => {
+    stubSessions();
+    // A pending request from alice to bob
+    friendRequest = new FriendRequest({ _id: objectId(), fromUser: alice, toUser: bob, status: 'pending' });
+    mock.method(friendRequest, 'save', async () => friendRequest);
+    friendRequest.fromUser = makeUser(alice, 'alice');
+    friendRequest.toUser = makeUser(bob, 'bob');
+    mock.method(FriendRequest, 'findById', () => query(friendRequest));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("won't let a third user accept someone else's request", async () => {
+    const findUser = mock.method(User, 'findById', () => query(null));
+
+    const res = await request(app)
+      .post('/api/friends/requests/accept')
+      .set('Authorization', `Bearer ${tokenFor(mallory)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 403);
+    assert.equal(friendRequest.save.mock.callCount(), 0);
+    assert.equal(findUser.mock.callCount(), 0);
+    assert.equal(friendRequest.status, 'pending');
+  });
+
+  it("won't let the sender accept their own request", async () => {
+    const res = await request(app)
+      .post('/api/friends/requests/accept')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 403);
+    assert.equal(friendRequest.save.mock.callCount(), 0);
+  });
+
+  it('rejects a currentUserId that differs from the token', async () => {
+    const res = await request(app)
+      .post('/api/friends/requests/accept')
+      .set('Authorization', `Bearer ${tokenFor(mallory)}`)
+      .send({ requestId: friendRequest._id.toString(), currentUserId: bob });
+
+    assert.equal(res.status, 403);
+    assert.equal(friendRequest.save.mock.callCount(), 0);
+  });
+
+  it('lets the recipient accept', async () => {
+    const users = { [alice]: makeUser(alice, 'alice'), [bob]: makeUser(bob, 'bob') };
+    mock.method(User, 'findById', (id) => query(users[id.toString()]));
+    // Inbox entries are stored in MongoDB; only the accept itself is under test
+    const record = mock.method(notificationService, 'record', async () => null);
+
+    const res = await request(app)
+      .post('/api/friends/requests/accept')
+      .set('Authorization', `Bearer ${tokenFor(bob)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 200);
+    assert.equal(friendRequest.status, 'accepted');
+    assert.ok(users[alice].friends.some(id => id.toString() === bob));
+    assert.ok(users[bob].friends.some(id => id.toString() === alice));
+    assert.equal(record.mock.calls[0].arguments[0].toString(), alice);
+  });
+
+  it("won't let a third user reject someone else's request", async () => {
+    friendRequest.fromUser = alice;
+    friendRequest.toUser = bob;
+
+    const res = await request(app)
+      .post('/api/friends/requests/reject')
+      .set('Authorization', `Bearer ${tokenFor(mallory)}`)
+      .send({ requestId: friendRequest._id.toString() });
+
+    assert.equal(res.status, 403);
+    assert.equal(friendRequest.save.mock.callCount(), 0);
+  });
+});